@@ -0,0 +1,30 @@
+-- AlterEnum
+ALTER TYPE "PurchaseStatus" ADD VALUE 'refunded';
+
+-- AlterTable
+ALTER TABLE "Purchase" ADD COLUMN     "refundReason" TEXT,
+ADD COLUMN     "refundedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "CharityDonation" ADD COLUMN     "reversedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "AppleNotification" (
+    "id" TEXT NOT NULL,
+    "notificationUUID" TEXT NOT NULL,
+    "notificationType" TEXT NOT NULL,
+    "subtype" TEXT,
+    "transactionId" TEXT,
+    "purchaseId" TEXT,
+    "environment" TEXT,
+    "signedDate" TIMESTAMP(3),
+    "receivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processedAt" TIMESTAMP(3),
+    "outcome" TEXT,
+    "payload" JSONB NOT NULL,
+
+    CONSTRAINT "AppleNotification_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AppleNotification_notificationUUID_key" ON "AppleNotification"("notificationUUID");
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "Product" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "priceCents" INTEGER NOT NULL,
+    "appleFeeRateBps" INTEGER NOT NULL,
+    "donationRateBps" INTEGER NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Product_pkey" PRIMARY KEY ("id")
+);
+
+-- Seed the day pass with the rates that were hard-coded until now.
+INSERT INTO "Product" ("id", "name", "priceCents", "appleFeeRateBps", "donationRateBps", "updatedAt")
+VALUES ('mindlock.daypass', 'Day Pass', 99, 1500, 1500, CURRENT_TIMESTAMP);
+
+-- AlterTable: existing purchases were all priced with the 15% / 15% split.
+ALTER TABLE "Purchase" ADD COLUMN     "appleFeeRateBps" INTEGER NOT NULL DEFAULT 1500,
+ADD COLUMN     "donationRateBps" INTEGER NOT NULL DEFAULT 1500;
+ALTER TABLE "Purchase" ALTER COLUMN "appleFeeRateBps" DROP DEFAULT,
+ALTER COLUMN "donationRateBps" DROP DEFAULT;
+
+-- AddForeignKey
+ALTER TABLE "Purchase" ADD CONSTRAINT "Purchase_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "Purchase" ADD COLUMN     "currency" TEXT NOT NULL DEFAULT 'USD',
+ADD COLUMN     "fxRateId" TEXT,
+ADD COLUMN     "donationMillis" INTEGER,
+ADD COLUMN     "grossMillis" INTEGER,
+ADD COLUMN     "storefront" TEXT;
+
+-- CreateTable
+CREATE TABLE "FxRate" (
+    "id" TEXT NOT NULL,
+    "currency" TEXT NOT NULL,
+    "usdPerUnit" DECIMAL(18,8) NOT NULL,
+    "effectiveFrom" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FxRate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FxRate_currency_effectiveFrom_key" ON "FxRate"("currency", "effectiveFrom");
+
+-- AddForeignKey
+ALTER TABLE "Purchase" ADD CONSTRAINT "Purchase_fxRateId_fkey" FOREIGN KEY ("fxRateId") REFERENCES "FxRate"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Charity" ADD COLUMN     "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "logoKey" TEXT,
+ADD COLUMN     "registrationNumber" TEXT,
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
@@ -0,0 +1,38 @@
+-- CreateEnum
+CREATE TYPE "PayoutMethod" AS ENUM ('ach', 'wire', 'check', 'paypal', 'other');
+
+-- CreateTable
+CREATE TABLE "CharityPayout" (
+    "id" TEXT NOT NULL,
+    "charityId" TEXT NOT NULL,
+    "amountCents" INTEGER NOT NULL,
+    "paidAt" TIMESTAMP(3) NOT NULL,
+    "method" "PayoutMethod" NOT NULL,
+    "reference" TEXT,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CharityPayout_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CharityPayoutAllocation" (
+    "id" TEXT NOT NULL,
+    "payoutId" TEXT NOT NULL,
+    "reportId" TEXT NOT NULL,
+    "amountCents" INTEGER NOT NULL,
+
+    CONSTRAINT "CharityPayoutAllocation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "CharityPayoutAllocation_payoutId_reportId_key" ON "CharityPayoutAllocation"("payoutId", "reportId");
+
+-- AddForeignKey
+ALTER TABLE "CharityPayout" ADD CONSTRAINT "CharityPayout_charityId_fkey" FOREIGN KEY ("charityId") REFERENCES "Charity"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CharityPayoutAllocation" ADD CONSTRAINT "CharityPayoutAllocation_payoutId_fkey" FOREIGN KEY ("payoutId") REFERENCES "CharityPayout"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CharityPayoutAllocation" ADD CONSTRAINT "CharityPayoutAllocation_reportId_fkey" FOREIGN KEY ("reportId") REFERENCES "MonthlyReport"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "MonthlyReport" ADD COLUMN     "finalizedAt" TIMESTAMP(3),
+ADD COLUMN     "version" INTEGER NOT NULL DEFAULT 1;
+
+-- CreateTable
+CREATE TABLE "MonthlyReportVersion" (
+    "id" TEXT NOT NULL,
+    "reportId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "generatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "payload" JSONB NOT NULL,
+
+    CONSTRAINT "MonthlyReportVersion_pkey" PRIMARY KEY ("id")
+);
+
+-- Existing reports become version 1 of themselves.
+INSERT INTO "MonthlyReportVersion" ("id", "reportId", "version", "generatedAt", "payload")
+SELECT "id" || '-v1', "id", 1, "generatedAt", "payload" FROM "MonthlyReport";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MonthlyReportVersion_reportId_version_key" ON "MonthlyReportVersion"("reportId", "version");
+
+-- AddForeignKey
+ALTER TABLE "MonthlyReportVersion" ADD CONSTRAINT "MonthlyReportVersion_reportId_fkey" FOREIGN KEY ("reportId") REFERENCES "MonthlyReport"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,51 @@
+-- CreateTable
+CREATE TABLE "AdminApiKey" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "prefix" TEXT NOT NULL,
+    "secretHash" TEXT NOT NULL,
+    "scopes" TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "lastUsedAt" TIMESTAMP(3),
+    "replacedById" TEXT,
+
+    CONSTRAINT "AdminApiKey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AdminAuditLog" (
+    "id" TEXT NOT NULL,
+    "at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "keyId" TEXT,
+    "actor" TEXT NOT NULL,
+    "scope" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "path" TEXT NOT NULL,
+    "statusCode" INTEGER NOT NULL,
+    "ip" TEXT,
+    "requestBody" JSONB,
+
+    CONSTRAINT "AdminAuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AdminApiKey_prefix_key" ON "AdminApiKey"("prefix");
+
+-- CreateIndex
+CREATE INDEX "AdminAuditLog_at_idx" ON "AdminAuditLog"("at");
+
+-- CreateIndex
+CREATE INDEX "AdminAuditLog_keyId_idx" ON "AdminAuditLog"("keyId");
+
+-- Enforce append-only audit rows at the database level.
+CREATE FUNCTION "admin_audit_log_append_only"() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'AdminAuditLog is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "AdminAuditLog_append_only"
+BEFORE UPDATE OR DELETE ON "AdminAuditLog"
+FOR EACH ROW EXECUTE FUNCTION "admin_audit_log_append_only"();
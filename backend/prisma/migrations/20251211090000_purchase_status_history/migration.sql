@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "PurchaseStatusHistory" (
+    "id" TEXT NOT NULL,
+    "purchaseId" TEXT NOT NULL,
+    "fromStatus" "PurchaseStatus",
+    "toStatus" "PurchaseStatus" NOT NULL,
+    "reason" TEXT NOT NULL,
+    "actor" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PurchaseStatusHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PurchaseStatusHistory_purchaseId_createdAt_idx" ON "PurchaseStatusHistory"("purchaseId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "PurchaseStatusHistory" ADD CONSTRAINT "PurchaseStatusHistory_purchaseId_fkey" FOREIGN KEY ("purchaseId") REFERENCES "Purchase"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,42 @@
+-- CreateEnum
+CREATE TYPE "ProductType" AS ENUM ('consumable', 'auto_renewable');
+
+-- CreateEnum
+CREATE TYPE "SubscriptionStatus" AS ENUM ('active', 'grace_period', 'billing_retry', 'expired', 'revoked');
+
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "type" "ProductType" NOT NULL DEFAULT 'consumable';
+
+-- CreateTable
+CREATE TABLE "Subscription" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "charityId" TEXT NOT NULL,
+    "originalTransactionId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "latestTransactionId" TEXT NOT NULL,
+    "status" "SubscriptionStatus" NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "autoRenew" BOOLEAN NOT NULL DEFAULT true,
+    "autoRenewProductId" TEXT,
+    "inBillingRetry" BOOLEAN NOT NULL DEFAULT false,
+    "gracePeriodExpiresAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "environment" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Subscription_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Subscription_originalTransactionId_key" ON "Subscription"("originalTransactionId");
+
+-- CreateIndex
+CREATE INDEX "Subscription_userId_idx" ON "Subscription"("userId");
+
+-- AddForeignKey
+ALTER TABLE "Subscription" ADD CONSTRAINT "Subscription_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Subscription" ADD CONSTRAINT "Subscription_charityId_fkey" FOREIGN KEY ("charityId") REFERENCES "Charity"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "UnlockGrant" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "purchaseId" TEXT NOT NULL,
+    "timezone" TEXT NOT NULL,
+    "grantedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "revokedAt" TIMESTAMP(3),
+    "revokeReason" TEXT,
+
+    CONSTRAINT "UnlockGrant_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UnlockGrant_purchaseId_key" ON "UnlockGrant"("purchaseId");
+
+-- CreateIndex
+CREATE INDEX "UnlockGrant_userId_expiresAt_idx" ON "UnlockGrant"("userId", "expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "UnlockGrant" ADD CONSTRAINT "UnlockGrant_purchaseId_fkey" FOREIGN KEY ("purchaseId") REFERENCES "Purchase"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
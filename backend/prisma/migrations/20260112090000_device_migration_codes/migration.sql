@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "DeviceMigrationCode" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "claimedAt" TIMESTAMP(3),
+
+    CONSTRAINT "DeviceMigrationCode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DeviceMigrationCode_userId_key" ON "DeviceMigrationCode"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DeviceMigrationCode_codeHash_key" ON "DeviceMigrationCode"("codeHash");
+
+-- AddForeignKey
+ALTER TABLE "DeviceMigrationCode" ADD CONSTRAINT "DeviceMigrationCode_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "OutboxMessage" ADD COLUMN     "abandonedAt" TIMESTAMP(3),
+ADD COLUMN     "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- CreateIndex
+CREATE INDEX "OutboxMessage_dispatchedAt_abandonedAt_nextAttemptAt_idx" ON "OutboxMessage"("dispatchedAt", "abandonedAt", "nextAttemptAt");
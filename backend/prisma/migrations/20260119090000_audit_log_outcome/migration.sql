@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "AdminAuditLog" ALTER COLUMN "statusCode" DROP NOT NULL;
+
+-- Entries are now written before the action runs; the status code may be
+-- filled in once, and nothing else about an entry can change.
+CREATE OR REPLACE FUNCTION "admin_audit_log_append_only"() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'UPDATE'
+    AND OLD."statusCode" IS NULL
+    AND (to_jsonb(NEW) - 'statusCode') = (to_jsonb(OLD) - 'statusCode') THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'AdminAuditLog is append-only';
+END;
+$$ LANGUAGE plpgsql;
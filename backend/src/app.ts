@@ -1,14 +1,33 @@
 import express from 'express';
 import helmet from 'helmet';
 import cors from 'cors';
-import morgan from 'morgan';
 import { config } from './lib/config.js';
+import { createLogger } from './lib/logger.js';
 import { purchasesRouter } from './routes/purchases.js';
+import { usersRouter } from './routes/users.js';
+import { entitlementsRouter } from './routes/entitlements.js';
+import { unlocksRouter } from './routes/unlocks.js';
+import { productsRouter } from './routes/products.js';
+import { fxRatesRouter } from './routes/fxRates.js';
+import { charitiesRouter } from './routes/charities.js';
+import { impactRouter } from './routes/impact.js';
+import { payoutsRouter } from './routes/payouts.js';
+import { devicesRouter } from './routes/devices.js';
+import { adminRouter } from './routes/admin.js';
+import { purchaseReviewRouter } from './routes/purchaseReview.js';
+import { OPS_BASE_PATH, opsRouter } from './routes/ops.js';
 import { reportsRouter } from './routes/reports.js';
 import { healthRouter } from './routes/health.js';
+import { metricsRouter } from './routes/metrics.js';
 import { debugRouter } from './routes/debug.js';
+import { appleNotificationsRouter } from './routes/appleNotifications.js';
+import { simulationRouter, storekitSimulatorRouter } from './routes/simulation.js';
 import { enforceHttps } from './middleware/auth.js';
 import { errorHandler } from './middleware/errorHandler.js';
+import { requestContext } from './middleware/requestContext.js';
+import { recordHttpMetrics } from './middleware/metrics.js';
+
+const logger = createLogger('api');
 
 const app = express();
 // Rate limiters and IP-based middleware require a non-permissive trust proxy.
@@ -22,7 +41,8 @@ app.use(
     origin: '*'
   })
 );
-app.use(morgan(config.nodeEnv === 'production' ? 'combined' : 'dev'));
+app.use(requestContext);
+app.use(recordHttpMetrics);
 app.use(express.json({ limit: '2mb' }));
 app.use(enforceHttps);
 
@@ -32,15 +52,34 @@ app.use((_, res, next) => {
 });
 
 app.use('/v1/purchases', purchasesRouter);
+app.use('/v1/users', usersRouter);
+app.use('/v1/entitlements', entitlementsRouter);
+app.use('/v1/unlocks', unlocksRouter);
+app.use('/v1/products', productsRouter);
+app.use('/v1/fx-rates', fxRatesRouter);
+app.use('/v1/charities', charitiesRouter);
+app.use('/v1/impact', impactRouter);
+app.use('/v1/payouts', payoutsRouter);
+app.use('/v1/devices', devicesRouter);
+app.use('/v1/admin/purchases', purchaseReviewRouter);
+if (config.storekitSimulation) {
+  logger.warn('StoreKit simulation enabled: fake purchases and the local CA are trusted');
+  app.use('/v1/admin/simulation', simulationRouter);
+  app.use('/simulator', storekitSimulatorRouter);
+}
+app.use('/v1/admin', adminRouter);
+app.use(OPS_BASE_PATH, opsRouter);
 app.use('/v1/reports', reportsRouter);
+app.use('/v1/apple', appleNotificationsRouter);
 app.use(debugRouter);
 app.use(healthRouter);
+app.use(metricsRouter);
 
 app.use(errorHandler);
 
 if (process.env.NODE_ENV !== 'test') {
   app.listen(config.port, () => {
-    console.log(`[api] listening on ${config.port} (${config.nodeEnv})`);
+    logger.info('Listening', { port: config.port, nodeEnv: config.nodeEnv });
   });
 }
 
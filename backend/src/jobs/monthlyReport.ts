@@ -1,22 +1,61 @@
+import { isDeepStrictEqual } from 'node:util';
 import type { Job } from 'bullmq';
 import { Prisma } from '@prisma/client';
 import { prisma } from '../lib/prisma.js';
+import { REPORTING_CURRENCY } from '../lib/fx.js';
+import { monthRange, previousMonth } from '../lib/months.js';
+import { reportJobDuration } from '../lib/metrics.js';
 
-type MonthlyReportJob = Job<{ month?: string }>;
+type MonthlyReportJob = Job<{ month?: string; requestId?: string }>;
 
 interface CharityAggregate {
   charityId: string;
   charityName: string;
   donationCents: number;
+  reversedCents: number;
+}
+
+// Shape of the per-charity entries stored in MonthlyReport.payload.charities.
+export type MonthlyReportCharity = {
+  charityId: string;
+  charityName: string;
+  donationCents: number;
+  reversedCents: number;
+  netDonationCents: number;
+};
+
+// Original-currency amounts are in milliunits (as StoreKit reports them); the
+// *Cents fields are the USD-normalized values the totals are built from.
+interface CurrencyAggregate {
+  currency: string;
+  purchases: number;
+  grossMillis: number;
+  donationMillis: number;
+  grossCents: number;
+  donationCents: number;
+  unconverted: number;
 }
 
 export async function handleMonthlyReport(job: MonthlyReportJob) {
+  const stopTimer = reportJobDuration.startTimer();
+  try {
+    await generateMonthlyReport(job);
+    stopTimer({ outcome: 'completed' });
+  } catch (err) {
+    stopTimer({ outcome: 'failed' });
+    throw err;
+  }
+}
+
+async function generateMonthlyReport(job: MonthlyReportJob) {
   const month = job.data.month ?? previousMonth();
   const { start, end } = monthRange(month);
 
+  // Refunded purchases still count in the month they completed; the refund is
+  // offset in the month it happened so earlier reports stay stable.
   const purchases = await prisma.purchase.findMany({
     where: {
-      status: 'completed',
+      status: { in: ['completed', 'refunded'] },
       completedAt: {
         gte: start,
         lt: end
@@ -24,9 +63,38 @@ export async function handleMonthlyReport(job: MonthlyReportJob) {
     }
   });
 
+  // Donations are bucketed by their purchase's completedAt, not recordedAt, so
+  // the charity half of the report covers exactly the purchases above even when
+  // validation ran after the month closed.
   const donations = await prisma.charityDonation.findMany({
     where: {
-      recordedAt: {
+      purchase: {
+        status: { in: ['completed', 'refunded'] },
+        completedAt: {
+          gte: start,
+          lt: end
+        }
+      }
+    },
+    include: {
+      charity: true
+    }
+  });
+
+  const refunds = await prisma.purchase.findMany({
+    where: {
+      status: 'refunded',
+      completedAt: { not: null },
+      refundedAt: {
+        gte: start,
+        lt: end
+      }
+    }
+  });
+
+  const reversals = await prisma.charityDonation.findMany({
+    where: {
+      reversedAt: {
         gte: start,
         lt: end
       }
@@ -39,64 +107,155 @@ export async function handleMonthlyReport(job: MonthlyReportJob) {
   let totalGrossCents = 0;
   let totalNetCents = 0;
   let totalDonationCents = 0;
+  const currencyMap = new Map<string, CurrencyAggregate>();
   for (const purchase of purchases) {
     totalGrossCents += purchase.grossCents;
     totalNetCents += purchase.netCents;
     totalDonationCents += purchase.donationCents;
+
+    // Purchases priced from the catalog (receipt path, pre-FX rows) are USD.
+    const currency =
+      currencyMap.get(purchase.currency) ?? {
+        currency: purchase.currency,
+        purchases: 0,
+        grossMillis: 0,
+        donationMillis: 0,
+        grossCents: 0,
+        donationCents: 0,
+        unconverted: 0
+      };
+    currency.purchases += 1;
+    currency.grossMillis += purchase.grossMillis ?? purchase.grossCents * 10;
+    currency.donationMillis += purchase.donationMillis ?? purchase.donationCents * 10;
+    currency.grossCents += purchase.grossCents;
+    currency.donationCents += purchase.donationCents;
+    if (purchase.currency !== REPORTING_CURRENCY && !purchase.fxRateId) {
+      currency.unconverted += 1;
+    }
+    currencyMap.set(purchase.currency, currency);
+  }
+
+  let refundedGrossCents = 0;
+  let refundedDonationCents = 0;
+  for (const refund of refunds) {
+    refundedGrossCents += refund.grossCents;
+    refundedDonationCents += refund.donationCents;
   }
 
   const charityMap = new Map<string, CharityAggregate>();
-  for (const donation of donations) {
+  const charityAggregate = (donation: (typeof donations)[number]) => {
     const aggregate =
       charityMap.get(donation.charityId) ?? {
         charityId: donation.charityId,
         charityName: donation.charity?.name ?? 'Unknown',
-        donationCents: 0
+        donationCents: 0,
+        reversedCents: 0
       };
-    aggregate.donationCents += donation.donationCents;
     charityMap.set(donation.charityId, aggregate);
+    return aggregate;
+  };
+  for (const donation of donations) {
+    charityAggregate(donation).donationCents += donation.donationCents;
+  }
+  for (const reversal of reversals) {
+    charityAggregate(reversal).reversedCents += reversal.donationCents;
   }
 
-  const charitySummaries = Array.from(charityMap.values()).map((aggregate) => ({
+  const charitySummaries = Array.from(charityMap.values()).map((aggregate): MonthlyReportCharity => ({
     charityId: aggregate.charityId,
     charityName: aggregate.charityName,
-    donationCents: aggregate.donationCents
+    donationCents: aggregate.donationCents,
+    reversedCents: aggregate.reversedCents,
+    netDonationCents: aggregate.donationCents - aggregate.reversedCents
   }));
 
   const payload: Prisma.InputJsonValue = {
     month,
+    reportingCurrency: REPORTING_CURRENCY,
     totals: {
       purchases: purchases.length,
       grossCents: totalGrossCents,
       netCents: totalNetCents,
-      donationCents: totalDonationCents
+      donationCents: totalDonationCents,
+      refunds: refunds.length,
+      refundedGrossCents,
+      refundedDonationCents,
+      netDonationCents: totalDonationCents - refundedDonationCents
     },
+    currencies: Array.from(currencyMap.values()).map((aggregate) => ({ ...aggregate })),
     charities: charitySummaries
   };
 
-  await prisma.monthlyReport.upsert({
-    where: { month },
-    update: { payload, generatedAt: new Date() },
-    create: { month, payload }
+  assertConsistent(month, {
+    purchaseDonationCents: totalDonationCents,
+    charityDonationCents: sum(charitySummaries, (charity) => charity.donationCents),
+    refundedDonationCents,
+    charityReversedCents: sum(charitySummaries, (charity) => charity.reversedCents)
   });
 
-  await job.log(`Monthly report generated for ${month}`);
-}
+  const result = await prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+    const existing = await tx.monthlyReport.findUnique({ where: { month } });
 
-function previousMonth(): string {
-  const date = new Date();
-  date.setUTCDate(1);
-  date.setUTCHours(0, 0, 0, 0);
-  date.setUTCMonth(date.getUTCMonth() - 1);
-  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+    if (existing?.finalizedAt) {
+      throw new Error(
+        `Report for ${month} was finalized at ${existing.finalizedAt.toISOString()}; refusing to regenerate`
+      );
+    }
+
+    if (existing && isDeepStrictEqual(existing.payload, payload)) {
+      return { version: existing.version, changed: false };
+    }
+
+    const version = (existing?.version ?? 0) + 1;
+    const generatedAt = new Date();
+    const report = await tx.monthlyReport.upsert({
+      where: { month },
+      update: { payload, generatedAt, version },
+      create: { month, payload, generatedAt, version }
+    });
+    await tx.monthlyReportVersion.create({
+      data: { reportId: report.id, version, payload, generatedAt }
+    });
+    return { version, changed: true };
+  });
+
+  await job.log(
+    result.changed
+      ? `Monthly report generated for ${month} (version ${result.version})`
+      : `Monthly report for ${month} unchanged (version ${result.version})`
+  );
 }
 
-function monthRange(month: string) {
-  const [year, monthPart] = month.split('-').map((part) => Number(part));
-  if (!year || !monthPart) {
-    throw new Error(`Invalid month format: ${month}`);
+class ReportConsistencyError extends Error {}
+
+// Both halves of a report are built from the same purchases, so any gap means
+// a donation row is missing or disagrees with its purchase. Fail the job rather
+// than store figures that do not add up.
+function assertConsistent(
+  month: string,
+  figures: {
+    purchaseDonationCents: number;
+    charityDonationCents: number;
+    refundedDonationCents: number;
+    charityReversedCents: number;
   }
-  const start = new Date(Date.UTC(year, monthPart - 1, 1, 0, 0, 0, 0));
-  const end = new Date(Date.UTC(year, monthPart, 1, 0, 0, 0, 0));
-  return { start, end };
+) {
+  const problems: string[] = [];
+  if (figures.purchaseDonationCents !== figures.charityDonationCents) {
+    problems.push(
+      `purchase donations ${figures.purchaseDonationCents} != charity donations ${figures.charityDonationCents}`
+    );
+  }
+  if (figures.refundedDonationCents !== figures.charityReversedCents) {
+    problems.push(
+      `refunded donations ${figures.refundedDonationCents} != charity reversals ${figures.charityReversedCents}`
+    );
+  }
+  if (problems.length > 0) {
+    throw new ReportConsistencyError(`Report for ${month} is inconsistent: ${problems.join('; ')}`);
+  }
+}
+
+function sum<T>(items: T[], pick: (item: T) => number): number {
+  return items.reduce((total, item) => total + pick(item), 0);
 }
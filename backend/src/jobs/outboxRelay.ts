@@ -0,0 +1,53 @@
+import { config } from '../lib/config.js';
+import { pruneOutbox, relayOutbox } from '../lib/outbox.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('outbox');
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Polls rather than using a repeatable job: the relay is what keeps jobs
+// flowing while Redis is unhealthy, so it cannot depend on a queue itself.
+export function startOutboxRelay() {
+  let stopped = false;
+  let timer: NodeJS.Timeout | undefined;
+  let lastPrune = 0;
+  let running: Promise<void> = Promise.resolve();
+
+  const tick = async () => {
+    try {
+      const { pending, dispatched } = await relayOutbox();
+      if (pending > 0) {
+        logger.info('Relayed', { pending, dispatched });
+      }
+
+      if (Date.now() - lastPrune > PRUNE_INTERVAL_MS) {
+        lastPrune = Date.now();
+        const cutoff = new Date(Date.now() - config.outboxRetentionDays * 24 * 60 * 60 * 1000);
+        const pruned = await pruneOutbox(cutoff);
+        if (pruned > 0) {
+          logger.info('Pruned dispatched messages', { pruned });
+        }
+      }
+    } catch (err) {
+      logger.error('Relay pass failed', err);
+    }
+  };
+
+  const schedule = () => {
+    if (stopped) {
+      return;
+    }
+    timer = setTimeout(() => {
+      running = tick().finally(schedule);
+    }, config.outboxRelayIntervalMs);
+  };
+
+  schedule();
+
+  return async () => {
+    stopped = true;
+    clearTimeout(timer);
+    await running;
+  };
+}
@@ -0,0 +1,12 @@
+import { pruneExpiredIdempotencyKeys } from '../lib/idempotency.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('idempotency');
+
+export async function handlePruneIdempotencyKeys() {
+  const pruned = await pruneExpiredIdempotencyKeys();
+  if (pruned > 0) {
+    logger.info('Pruned expired idempotency keys', { pruned });
+  }
+  return { pruned };
+}
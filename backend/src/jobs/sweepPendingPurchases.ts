@@ -0,0 +1,131 @@
+import type { Job } from 'bullmq';
+import { Prisma } from '@prisma/client';
+import { prisma } from '../lib/prisma.js';
+import { config } from '../lib/config.js';
+import { validateReceiptQueue } from '../lib/queues.js';
+import { WORKER_ACTOR, recordStatusChange, validationJob } from '../lib/purchaseStatus.js';
+import { addToOutbox, dispatchOutboxMessage } from '../lib/outbox.js';
+import { revokeUnlockGrant } from '../lib/unlockGrants.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('sweeper');
+
+type SweepJob = Job<Record<string, never>>;
+
+export interface SweepSummary {
+  scanned: number;
+  requeued: number;
+  inFlight: number;
+  escalated: number;
+}
+
+const SWEEP_BATCH_SIZE = 500;
+const IN_FLIGHT_STATES = new Set(['waiting', 'active', 'delayed', 'prioritized', 'waiting-children']);
+
+// Catches purchases whose validation job never made it to Redis or was lost
+// there. Anything still pending past the maximum age is failed so it shows up
+// in manual review instead of silently missing from reports.
+export async function handleSweepPendingPurchases(job: SweepJob): Promise<SweepSummary> {
+  const now = Date.now();
+  const retryBefore = new Date(now - config.pendingSweepMinAgeMinutes * 60 * 1000);
+  const escalateBefore = new Date(now - config.pendingSweepMaxAgeHours * 60 * 60 * 1000);
+  // One retry per purchase per sweep interval, however often the sweep runs.
+  const sweepWindow = Math.floor(now / (config.pendingSweepIntervalMinutes * 60 * 1000));
+
+  const summary: SweepSummary = { scanned: 0, requeued: 0, inFlight: 0, escalated: 0 };
+
+  const stale = await prisma.purchase.findMany({
+    where: { status: 'pending_validation', createdAt: { lt: retryBefore } },
+    select: { id: true, createdAt: true },
+    orderBy: { createdAt: 'asc' },
+    take: SWEEP_BATCH_SIZE
+  });
+  summary.scanned = stale.length;
+
+  for (const purchase of stale) {
+    if (purchase.createdAt < escalateBefore) {
+      if (await escalate(purchase.id)) {
+        summary.escalated += 1;
+      }
+      continue;
+    }
+
+    if (await hasValidationInFlight(purchase.id)) {
+      summary.inFlight += 1;
+      continue;
+    }
+
+    if (await requeue(purchase.id, `sweep-${sweepWindow}`)) {
+      summary.requeued += 1;
+    } else {
+      summary.inFlight += 1;
+    }
+  }
+
+  await job.log(`Sweep summary: ${JSON.stringify(summary)}`);
+  logger.info('Pending purchase sweep', summary);
+  return summary;
+}
+
+// Every validation job goes through the outbox, so its rows name every job id
+// used for the purchase: the first attempt, manual retries and earlier sweeps.
+// A row the relay is still trying to publish counts as in flight.
+async function hasValidationInFlight(purchaseId: string): Promise<boolean> {
+  const baseJobId = validationJob(purchaseId).jobId;
+  const messages = await prisma.outboxMessage.findMany({
+    where: { OR: [{ jobId: baseJobId }, { jobId: { startsWith: `${baseJobId}-` } }] },
+    select: { jobId: true, dispatchedAt: true, abandonedAt: true }
+  });
+  if (messages.some((message) => !message.dispatchedAt && !message.abandonedAt)) {
+    return true;
+  }
+
+  // Rows may have been pruned; the first attempt's id is always known.
+  const jobIds = new Set([baseJobId, ...messages.map((message) => message.jobId)]);
+  for (const jobId of jobIds) {
+    const job = await validateReceiptQueue.getJob(jobId);
+    if (job && IN_FLIGHT_STATES.has(await job.getState())) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Returns false if this sweep window already requeued the purchase.
+async function requeue(purchaseId: string, retryTag: string): Promise<boolean> {
+  let message;
+  try {
+    message = await prisma.$transaction((tx: Prisma.TransactionClient) =>
+      addToOutbox(tx, validationJob(purchaseId, retryTag))
+    );
+  } catch (err) {
+    if (err instanceof Prisma.PrismaClientKnownRequestError && err.code === 'P2002') {
+      return false;
+    }
+    throw err;
+  }
+  await dispatchOutboxMessage(message);
+  return true;
+}
+
+async function escalate(purchaseId: string): Promise<boolean> {
+  const reason = `Still pending validation after ${config.pendingSweepMaxAgeHours}h`;
+  return prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+    const updated = await tx.purchase.updateMany({
+      where: { id: purchaseId, status: 'pending_validation' },
+      data: { status: 'failed', failureReason: reason }
+    });
+    if (updated.count === 0) {
+      return false;
+    }
+    await revokeUnlockGrant(tx, purchaseId, reason);
+    await recordStatusChange(tx, {
+      purchaseId,
+      fromStatus: 'pending_validation',
+      toStatus: 'failed',
+      reason,
+      actor: WORKER_ACTOR
+    });
+    return true;
+  });
+}
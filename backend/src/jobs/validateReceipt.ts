@@ -3,15 +3,37 @@ import fetch from 'node-fetch';
 import { Prisma, type Purchase } from '@prisma/client';
 import { prisma } from '../lib/prisma.js';
 import { config } from '../lib/config.js';
-import { verifyStoreKitTransaction } from '../lib/storekit.js';
+import {
+  StoreKitVerificationError,
+  verifyStoreKitTransaction,
+  type StoreKitTransactionPayload
+} from '../lib/storekit.js';
+import {
+  AppStoreServerApiError,
+  getTransactionHistory,
+  getTransactionInfo,
+  isAppStoreServerApiConfigured,
+  type AppStoreEnvironment
+} from '../lib/appStoreServerApi.js';
+import { computeSplit } from '../lib/pricing.js';
+import { REPORTING_CURRENCY, findFxRate, millisToUsdCents } from '../lib/fx.js';
+import { WORKER_ACTOR, recordStatusChange } from '../lib/purchaseStatus.js';
+import { invalidateImpactCache } from '../lib/impact.js';
+import { recordSubscriptionTransaction } from '../lib/subscriptions.js';
+import { issueUnlockGrant, revokeUnlockGrant } from '../lib/unlockGrants.js';
+import { createLogger } from '../lib/logger.js';
+import { appleRequestDuration, appleRetryableErrors, validationOutcomes } from '../lib/metrics.js';
 
-type ValidateReceiptJob = Job<{ purchaseId: string }>;
+const logger = createLogger('validate-receipt');
+
+type ValidateReceiptJob = Job<{ purchaseId: string; requestId?: string }>;
 
 interface AppleReceiptInfo {
   transaction_id?: string;
   product_id?: string;
   original_transaction_id?: string;
   purchase_date_ms?: string;
+  app_account_token?: string;
 }
 
 interface AppleReceiptValidationResponse {
@@ -24,6 +46,19 @@ interface AppleReceiptValidationResponse {
 
 const retryableStatuses = new Set([21002, 21005, 21009]);
 
+type ValidationPath = 'server_api' | 'receipt' | 'jws';
+
+// Low-cardinality grouping of failure reasons for the validations metric.
+type FailureClass =
+  | 'apple_status'
+  | 'not_found'
+  | 'verification'
+  | 'mismatch'
+  | 'revoked'
+  | 'missing_data'
+  | 'retries_exhausted'
+  | 'internal';
+
 export async function handleValidateReceipt(job: ValidateReceiptJob) {
   const { purchaseId } = job.data;
   const purchase = await prisma.purchase.findUnique({
@@ -40,25 +75,56 @@ export async function handleValidateReceipt(job: ValidateReceiptJob) {
     return;
   }
 
+  const path: ValidationPath =
+    isAppStoreServerApiConfigured() && purchase.appleTransactionId
+      ? 'server_api'
+      : purchase.receiptData
+        ? 'receipt'
+        : 'jws';
+
   try {
-    if (purchase.receiptData) {
+    if (path === 'server_api') {
+      await validateViaServerApi(job, purchase);
+    } else if (path === 'receipt') {
       await validateViaReceipt(job, purchase);
     } else {
       await validateViaTransactionJws(job, purchase);
     }
+    validationOutcomes.inc({ path, outcome: 'completed', reason: 'none' });
     await job.log(`Purchase ${purchaseId} validated successfully`);
-    console.log(`[worker] validated purchase ${purchaseId}`);
+    logger.info('Validated purchase', { purchaseId, path });
   } catch (err) {
     if (err instanceof RetryableError) {
       await job.log(`Retryable Apple error: ${err.message}`);
+      // The worker's failed handler fails the purchase after the last attempt.
+      const exhausted = job.attemptsMade + 1 >= (job.opts.attempts ?? 1);
+      validationOutcomes.inc(
+        exhausted
+          ? { path, outcome: 'failed', reason: 'retries_exhausted' }
+          : { path, outcome: 'retry', reason: 'apple_unavailable' }
+      );
       throw err;
     }
+    const failureClass: FailureClass = err instanceof ValidationFailure ? err.failureClass : 'internal';
+    validationOutcomes.inc({ path, outcome: 'failed', reason: failureClass });
+    logger.warn('Validation failed', { purchaseId, path, failureClass });
     await markFailed(purchaseId, err instanceof Error ? err.message : 'Unknown error');
   }
 }
 
 class RetryableError extends Error {}
 
+// A definite answer that the purchase is not valid; the message becomes the
+// purchase's failureReason.
+class ValidationFailure extends Error {
+  constructor(
+    message: string,
+    readonly failureClass: FailureClass
+  ) {
+    super(message);
+  }
+}
+
 async function validateWithApple(job: ValidateReceiptJob, receiptData: string) {
   const payload = {
     'receipt-data': receiptData,
@@ -68,9 +134,9 @@ async function validateWithApple(job: ValidateReceiptJob, receiptData: string) {
 
   const json = await postReceipt(config.appleVerifyReceiptUrl, payload);
 
-  if (json.status === 21007 && config.appleVerifyReceiptUrl.includes('buy.itunes.apple.com')) {
+  if (json.status === 21007 && config.appleVerifyReceiptUrl !== config.appleSandboxVerifyReceiptUrl) {
     await job.log('Received 21007, retrying against sandbox endpoint');
-    const sandboxJson = await postReceipt('https://sandbox.itunes.apple.com/verifyReceipt', payload);
+    const sandboxJson = await postReceipt(config.appleSandboxVerifyReceiptUrl, payload);
     return interpretAppleResponse(sandboxJson);
   }
 
@@ -78,14 +144,22 @@ async function validateWithApple(job: ValidateReceiptJob, receiptData: string) {
 }
 
 async function postReceipt(url: string, payload: Record<string, unknown>) {
+  const stopTimer = appleRequestDuration.startTimer({
+    api: 'verify_receipt',
+    environment: url === config.appleSandboxVerifyReceiptUrl ? 'Sandbox' : 'Production'
+  });
   try {
     const response = await fetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(payload)
     });
-    return (await response.json()) as AppleReceiptValidationResponse;
+    const json = (await response.json()) as AppleReceiptValidationResponse;
+    stopTimer({ status: String(json.status) });
+    return json;
   } catch (error) {
+    stopTimer({ status: 'network_error' });
+    appleRetryableErrors.inc({ api: 'verify_receipt', reason: 'network' });
     throw new RetryableError(`Failed to reach Apple: ${(error as Error).message}`);
   }
 }
@@ -96,10 +170,11 @@ function interpretAppleResponse(json: AppleReceiptValidationResponse): AppleRece
   }
 
   if (retryableStatuses.has(json.status)) {
+    appleRetryableErrors.inc({ api: 'verify_receipt', reason: `status_${json.status}` });
     throw new RetryableError(`Apple returned retryable status ${json.status}`);
   }
 
-  throw new Error(`Apple returned status ${json.status}`);
+  throw new ValidationFailure(`Apple returned status ${json.status}`, 'apple_status');
 }
 
 function findTransaction(
@@ -116,12 +191,49 @@ function findTransaction(
   return candidates.find((entry) => entry.transaction_id === appleTransactionId);
 }
 
+// Guarded like markRetriesExhausted: a purchase something else already moved
+// (completed, refunded, manually failed) is left alone.
 async function markFailed(purchaseId: string, reason: string) {
-  await prisma.purchase.update({
-    where: { id: purchaseId },
-    data: {
-      status: 'failed',
-      failureReason: reason
+  await prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+    const updated = await tx.purchase.updateMany({
+      where: { id: purchaseId, status: 'pending_validation' },
+      data: {
+        status: 'failed',
+        failureReason: reason
+      }
+    });
+    if (updated.count === 0) {
+      return;
+    }
+    await revokeUnlockGrant(tx, purchaseId, reason);
+    await recordStatusChange(tx, {
+      purchaseId,
+      fromStatus: 'pending_validation',
+      toStatus: 'failed',
+      reason,
+      actor: WORKER_ACTOR
+    });
+  });
+}
+
+// BullMQ gave up retrying, so the purchase would otherwise sit in
+// pending_validation forever. Leaves it alone if something else already moved it.
+export async function markRetriesExhausted(purchaseId: string, lastError: string) {
+  const reason = `Validation retries exhausted: ${lastError}`;
+  await prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+    const updated = await tx.purchase.updateMany({
+      where: { id: purchaseId, status: 'pending_validation' },
+      data: { status: 'failed', failureReason: reason }
+    });
+    if (updated.count > 0) {
+      await revokeUnlockGrant(tx, purchaseId, reason);
+      await recordStatusChange(tx, {
+        purchaseId,
+        fromStatus: 'pending_validation',
+        toStatus: 'failed',
+        reason,
+        actor: WORKER_ACTOR
+      });
     }
   });
 }
@@ -131,52 +243,228 @@ async function validateViaReceipt(job: ValidateReceiptJob, purchase: Purchase) {
   const match = findTransaction(result, purchase.appleTransactionId);
 
   if (!match) {
-    await markFailed(purchase.id, `Transaction ${purchase.appleTransactionId ?? 'unknown'} not present in receipt`);
-    return;
+    throw new ValidationFailure(
+      `Transaction ${purchase.appleTransactionId ?? 'unknown'} not present in receipt`,
+      'not_found'
+    );
+  }
+
+  const accountMismatch = await checkAppAccountToken(purchase, match.app_account_token);
+  if (accountMismatch) {
+    throw new ValidationFailure(accountMismatch, 'mismatch');
   }
 
   const completedAt = match.purchase_date_ms
     ? new Date(Number(match.purchase_date_ms))
     : new Date();
 
-  await markCompleted(purchase, completedAt);
+  await markCompleted(purchase, completedAt, 'Validated via receipt');
 }
 
 async function validateViaTransactionJws(job: ValidateReceiptJob, purchase: Purchase) {
   if (!purchase.transactionJws) {
-    await markFailed(purchase.id, 'Transaction JWS missing');
-    return;
+    throw new ValidationFailure('Transaction JWS missing', 'missing_data');
+  }
+
+  let payload;
+  try {
+    payload = await verifyStoreKitTransaction(purchase.transactionJws);
+  } catch (err) {
+    if (err instanceof StoreKitVerificationError) {
+      await job.log(`StoreKit JWS rejected: ${err.failureReason}`);
+      throw new ValidationFailure(err.failureReason, 'verification');
+    }
+    throw err;
+  }
+
+  await completeFromTransaction(purchase, payload, 'Validated via StoreKit JWS');
+  await job.log('Validated via StoreKit JWS payload');
+}
+
+// Asks Apple for the transaction instead of trusting the copy the client sent.
+// Production is tried first; a transaction Apple does not know there is looked
+// up in Sandbox, mirroring the 21007 fallback of verifyReceipt.
+async function validateViaServerApi(job: ValidateReceiptJob, purchase: Purchase) {
+  const environments = (['Production', 'Sandbox'] as const).filter((environment) =>
+    config.appleEnvironments.includes(environment)
+  );
+
+  let found: { signedTransaction: string; environment: AppStoreEnvironment } | undefined;
+  for (const environment of environments) {
+    try {
+      const { signedTransactionInfo } = await getTransactionInfo(purchase.appleTransactionId!, environment);
+      found = { signedTransaction: signedTransactionInfo, environment };
+      await job.log(`Found transaction via App Store Server API (${environment})`);
+      break;
+    } catch (err) {
+      if (!(err instanceof AppStoreServerApiError && err.notFound)) {
+        throw serverApiFailure(err);
+      }
+    }
+  }
+
+  if (!found) {
+    throw new ValidationFailure(
+      `Transaction ${purchase.appleTransactionId} not found on the App Store`,
+      'not_found'
+    );
+  }
+
+  const payload = await verifyServerApiTransaction(found.signedTransaction);
+  if (payload.revocationDate) {
+    throw new ValidationFailure(
+      `Transaction revoked by Apple (reason ${payload.revocationReason ?? 'unknown'})`,
+      'revoked'
+    );
+  }
+
+  const latest = payload.expiresDate
+    ? await latestInSubscriptionChain(job, payload, found.environment)
+    : undefined;
+
+  // The subscription may have renewed since this period was bought; recording
+  // the newest transaction keeps the entitlement current from the start.
+  await completeFromTransaction(
+    purchase,
+    payload,
+    'Validated via App Store Server API',
+    latest && latest.transactionId !== payload.transactionId ? latest : undefined
+  );
+}
+
+// Walks the account's history newest first until it reaches the submitted
+// transaction, confirming it belongs to the subscription chain its
+// originalTransactionId names. Returns the newest transaction in that chain.
+async function latestInSubscriptionChain(
+  job: ValidateReceiptJob,
+  payload: StoreKitTransactionPayload,
+  environment: AppStoreEnvironment
+): Promise<StoreKitTransactionPayload> {
+  let latest: StoreKitTransactionPayload | undefined;
+  try {
+    for await (const signedTransaction of getTransactionHistory(payload.transactionId, environment)) {
+      const entry = await verifyServerApiTransaction(signedTransaction);
+      if (entry.originalTransactionId !== payload.originalTransactionId) {
+        continue;
+      }
+      latest ??= entry;
+      if (entry.transactionId === payload.transactionId) {
+        await job.log(`Confirmed subscription chain ${payload.originalTransactionId} via transaction history`);
+        return latest;
+      }
+    }
+  } catch (err) {
+    if (err instanceof ValidationFailure) {
+      throw err;
+    }
+    throw serverApiFailure(err);
   }
+  throw new ValidationFailure(
+    `Transaction ${payload.transactionId} missing from subscription ${payload.originalTransactionId} history`,
+    'mismatch'
+  );
+}
+
+async function verifyServerApiTransaction(signedTransaction: string): Promise<StoreKitTransactionPayload> {
+  try {
+    return await verifyStoreKitTransaction(signedTransaction);
+  } catch (err) {
+    if (err instanceof StoreKitVerificationError) {
+      throw new ValidationFailure(err.failureReason, 'verification');
+    }
+    throw err;
+  }
+}
 
-  const payload = await verifyStoreKitTransaction(purchase.transactionJws);
+// Network errors, 429 and 5xx are retried; any other Apple error is final.
+function serverApiFailure(err: unknown): Error {
+  if (!(err instanceof AppStoreServerApiError)) {
+    return new RetryableError(`Failed to reach App Store Server API: ${(err as Error).message}`);
+  }
+  if (err.retryable) {
+    return new RetryableError(err.message);
+  }
+  return new ValidationFailure(err.message, err.notFound ? 'not_found' : 'apple_status');
+}
 
+async function completeFromTransaction(
+  purchase: Purchase,
+  payload: StoreKitTransactionPayload,
+  reason: string,
+  latestInChain?: StoreKitTransactionPayload
+) {
   if (payload.transactionId !== purchase.appleTransactionId) {
-    await markFailed(purchase.id, 'Transaction ID mismatch');
-    return;
+    throw new ValidationFailure('Transaction ID mismatch', 'mismatch');
   }
 
   if (payload.productId !== purchase.productId) {
-    await markFailed(purchase.id, 'Product ID mismatch');
-    return;
+    throw new ValidationFailure('Product ID mismatch', 'mismatch');
+  }
+
+  const accountMismatch = await checkAppAccountToken(purchase, payload.appAccountToken);
+  if (accountMismatch) {
+    throw new ValidationFailure(accountMismatch, 'mismatch');
   }
 
   const dateMs = typeof payload.purchaseDate === 'string'
     ? Number(payload.purchaseDate)
     : payload.purchaseDate;
   const completedAt = Number.isFinite(dateMs) ? new Date(dateMs) : new Date();
-  await markCompleted(purchase, completedAt);
-  await job.log('Validated via StoreKit JWS payload');
+  const subscriptionTransactions = payload.expiresDate
+    ? [payload, ...(latestInChain ? [latestInChain] : [])]
+    : [];
+  await markCompleted(purchase, completedAt, reason, payload, subscriptionTransactions);
 }
 
-async function markCompleted(purchase: Purchase, completedAt: Date) {
-  await prisma.$transaction(async (tx: Prisma.TransactionClient) => {
-    await tx.purchase.update({
+// Registered users get an appAccountToken that the app stamps on every
+// purchase, so a transaction bought by someone else cannot be filed under this
+// user. Users from before device registration have none and are not checked.
+async function checkAppAccountToken(
+  purchase: Purchase,
+  appAccountToken: string | undefined
+): Promise<string | null> {
+  const user = await prisma.user.findUnique({
+    where: { id: purchase.userId },
+    select: { appAccountToken: true }
+  });
+  if (!user?.appAccountToken) {
+    return null;
+  }
+  if (!appAccountToken) {
+    return 'appAccountToken missing from transaction';
+  }
+  if (appAccountToken.toLowerCase() !== user.appAccountToken.toLowerCase()) {
+    return 'appAccountToken does not match purchasing user';
+  }
+  return null;
+}
+
+type StorefrontPricing = Pick<StoreKitTransactionPayload, 'price' | 'currency' | 'storefront'>;
+
+// Receipts carry no price, so only the JWS path re-prices a purchase from what
+// the buyer actually paid; otherwise the catalog USD snapshot stands.
+async function markCompleted(
+  purchase: Purchase,
+  completedAt: Date,
+  reason: string,
+  pricing?: StorefrontPricing,
+  subscriptionTransactions: StoreKitTransactionPayload[] = []
+): Promise<boolean> {
+  const completed = await prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+    // Guarded so a refund or manual action that landed while Apple was being
+    // asked is not overwritten.
+    const claimed = await tx.purchase.updateMany({
+      where: { id: purchase.id, status: 'pending_validation' },
+      data: { status: 'completed', completedAt, failureReason: null }
+    });
+    if (claimed.count === 0) {
+      return false;
+    }
+
+    const storefrontData = await priceFromStorefront(tx, purchase, completedAt, pricing);
+    const updated = await tx.purchase.update({
       where: { id: purchase.id },
-      data: {
-        status: 'completed',
-        completedAt,
-        failureReason: null
-      }
+      data: storefrontData
     });
 
     await tx.charityDonation.upsert({
@@ -184,9 +472,98 @@ async function markCompleted(purchase: Purchase, completedAt: Date) {
       create: {
         purchaseId: purchase.id,
         charityId: purchase.charityId,
-        donationCents: purchase.donationCents
+        donationCents: updated.donationCents
       },
       update: {}
     });
+
+    // Day passes only unlock once Apple has confirmed the purchase.
+    const product = await tx.product.findUniqueOrThrow({
+      where: { id: purchase.productId },
+      select: { type: true }
+    });
+    if (product.type === 'consumable') {
+      await issueUnlockGrant(tx, purchase);
+    }
+
+    // Same transaction, so a failure here cannot leave a completed purchase
+    // without its subscription.
+    for (const transaction of subscriptionTransactions) {
+      await recordSubscriptionTransaction(
+        { userId: purchase.userId, charityId: purchase.charityId },
+        transaction,
+        tx
+      );
+    }
+
+    await recordStatusChange(tx, {
+      purchaseId: purchase.id,
+      fromStatus: 'pending_validation',
+      toStatus: 'completed',
+      reason,
+      actor: WORKER_ACTOR
+    });
+    return true;
   });
+
+  if (completed) {
+    await invalidateImpactCache();
+  } else {
+    logger.warn('Purchase left pending_validation during validation; not completed', {
+      purchaseId: purchase.id
+    });
+  }
+  return completed;
+}
+
+async function priceFromStorefront(
+  tx: Prisma.TransactionClient,
+  purchase: Purchase,
+  completedAt: Date,
+  pricing: StorefrontPricing | undefined
+): Promise<Prisma.PurchaseUpdateInput> {
+  if (!pricing?.currency || pricing.price === undefined) {
+    return {};
+  }
+
+  const rates = {
+    appleFeeRateBps: purchase.appleFeeRateBps,
+    donationRateBps: purchase.donationRateBps
+  };
+  const local = computeSplit({ priceCents: pricing.price, ...rates });
+  const base = {
+    currency: pricing.currency,
+    storefront: pricing.storefront ?? null,
+    grossMillis: local.grossCents,
+    donationMillis: local.donationCents
+  };
+
+  if (pricing.currency === REPORTING_CURRENCY) {
+    return { ...base, ...usdSplit(millisToUsdCents(pricing.price, null), rates) };
+  }
+
+  const rate = await findFxRate(pricing.currency, completedAt, tx);
+  if (!rate) {
+    // Keep the catalog USD figures; the monthly report lists these as
+    // unconverted so finance can spot them.
+    logger.warn('No FX rate; purchase left at catalog USD', {
+      purchaseId: purchase.id,
+      currency: pricing.currency
+    });
+    return base;
+  }
+
+  return {
+    ...base,
+    fxRate: { connect: { id: rate.id } },
+    ...usdSplit(millisToUsdCents(pricing.price, rate), rates)
+  };
+}
+
+function usdSplit(
+  grossCents: number,
+  rates: { appleFeeRateBps: number; donationRateBps: number }
+) {
+  const { appleFeeCents, netCents, donationCents } = computeSplit({ priceCents: grossCents, ...rates });
+  return { grossCents, appleFeeCents, netCents, donationCents };
 }
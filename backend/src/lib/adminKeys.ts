@@ -0,0 +1,86 @@
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import { config } from './config.js';
+import { prisma } from './prisma.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('admin-keys');
+
+export const ADMIN_SCOPES = [
+  'reports:read',
+  'reports:run',
+  'reports:finalize',
+  'charities:read',
+  'charities:write',
+  'catalog:read',
+  'catalog:write',
+  'payouts:read',
+  'payouts:write',
+  'purchases:read',
+  'purchases:write',
+  'devices:write',
+  'queues:read',
+  'ops:read',
+  'audit:read',
+  'keys:manage',
+  'simulation:write'
+] as const;
+
+export type AdminScope = (typeof ADMIN_SCOPES)[number];
+
+export interface AdminActor {
+  keyId: string | null;
+  name: string;
+  scopes: readonly string[];
+}
+
+const KEY_PATTERN = /^mla_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+
+// Keys look like mla_<prefix>_<secret>. The plaintext is only ever returned
+// once, at creation or rotation.
+export function generateAdminKey() {
+  const prefix = randomBytes(6).toString('hex');
+  const secret = randomBytes(32).toString('base64url');
+  return { key: `mla_${prefix}_${secret}`, prefix, secretHash: sha256(secret) };
+}
+
+export async function authenticateAdmin(presented: string | undefined): Promise<AdminActor | null> {
+  if (!presented) {
+    return null;
+  }
+
+  // The env key is a bootstrap credential for creating the first stored keys;
+  // unset ADMIN_API_KEY once those exist.
+  if (config.adminApiKey && safeEqual(sha256(presented), sha256(config.adminApiKey))) {
+    return { keyId: null, name: 'bootstrap', scopes: ADMIN_SCOPES };
+  }
+
+  const match = KEY_PATTERN.exec(presented);
+  if (!match) {
+    return null;
+  }
+
+  const [, prefix, secret] = match;
+  const key = await prisma.adminApiKey.findUnique({ where: { prefix } });
+  if (!key || !safeEqual(sha256(secret), key.secretHash)) {
+    return null;
+  }
+  if (key.revokedAt || (key.expiresAt && key.expiresAt <= new Date())) {
+    return null;
+  }
+
+  prisma.adminApiKey
+    .update({ where: { id: key.id }, data: { lastUsedAt: new Date() } })
+    .catch((err) => logger.error('Failed to record lastUsedAt', err));
+
+  return { keyId: key.id, name: key.name, scopes: key.scopes };
+}
+
+function sha256(value: string): string {
+  return createHash('sha256').update(value).digest('hex');
+}
+
+function safeEqual(a: string, b: string): boolean {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
@@ -0,0 +1,155 @@
+import fetch from 'node-fetch';
+import { SignJWT, importPKCS8, type KeyLike } from 'jose';
+import { config } from './config.js';
+import { appleRequestDuration, appleRetryableErrors } from './metrics.js';
+
+export type AppStoreEnvironment = 'Production' | 'Sandbox';
+
+export interface TransactionInfoResponse {
+  signedTransactionInfo: string;
+}
+
+export interface TransactionHistoryResponse {
+  signedTransactions: string[];
+  revision: string;
+  hasMore: boolean;
+  bundleId: string;
+  environment: AppStoreEnvironment;
+}
+
+// Apple's error body is `{ errorCode, errorMessage }`. 429 and 5xx are worth
+// retrying; anything else is a definite answer about this request.
+export class AppStoreServerApiError extends Error {
+  constructor(
+    readonly status: number,
+    readonly errorCode: number | undefined,
+    message: string
+  ) {
+    super(message);
+    this.name = 'AppStoreServerApiError';
+  }
+
+  get retryable(): boolean {
+    return this.status === 429 || this.status >= 500;
+  }
+
+  get notFound(): boolean {
+    return this.status === 404;
+  }
+}
+
+const AUDIENCE = 'appstoreconnect-v1';
+// Apple rejects tokens that live longer than an hour; refresh well before.
+const TOKEN_TTL_SECONDS = 20 * 60;
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+// A hung call would otherwise hold a worker slot forever; timeouts are retried
+// like any other network error.
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+let signingKey: Promise<KeyLike> | undefined;
+let cachedToken: { token: string; expiresAt: number } | undefined;
+
+export function isAppStoreServerApiConfigured(): boolean {
+  return Boolean(config.appStoreKeyId && config.appStoreIssuerId && config.appStorePrivateKey);
+}
+
+export async function getTransactionInfo(
+  transactionId: string,
+  environment: AppStoreEnvironment
+): Promise<TransactionInfoResponse> {
+  return request<TransactionInfoResponse>(
+    environment,
+    `/inApps/v1/transactions/${encodeURIComponent(transactionId)}`
+  );
+}
+
+// Pages through every transaction on the customer's account that `transactionId`
+// belongs to, newest first.
+export async function* getTransactionHistory(
+  transactionId: string,
+  environment: AppStoreEnvironment
+): AsyncGenerator<string> {
+  let revision: string | undefined;
+  for (;;) {
+    const params = new URLSearchParams({ sort: 'DESCENDING' });
+    if (revision) {
+      params.set('revision', revision);
+    }
+
+    const page = await request<TransactionHistoryResponse>(
+      environment,
+      `/inApps/v2/history/${encodeURIComponent(transactionId)}?${params}`
+    );
+    yield* page.signedTransactions;
+
+    if (!page.hasMore) {
+      return;
+    }
+    revision = page.revision;
+  }
+}
+
+async function request<T>(environment: AppStoreEnvironment, path: string): Promise<T> {
+  const baseUrl = environment === 'Sandbox' ? config.appStoreSandboxApiUrl : config.appStoreApiUrl;
+  const authorization = `Bearer ${await apiToken()}`;
+  const stopTimer = appleRequestDuration.startTimer({ api: 'server_api', environment });
+  let response;
+  try {
+    response = await fetch(`${baseUrl}${path}`, {
+      headers: { Authorization: authorization },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (err) {
+    const timedOut = (err as Error).name === 'AbortError' || (err as Error).name === 'TimeoutError';
+    stopTimer({ status: timedOut ? 'timeout' : 'network_error' });
+    appleRetryableErrors.inc({ api: 'server_api', reason: timedOut ? 'timeout' : 'network' });
+    throw err;
+  }
+  stopTimer({ status: String(response.status) });
+
+  if (!response.ok) {
+    const body = (await response.json().catch(() => ({}))) as {
+      errorCode?: number;
+      errorMessage?: string;
+    };
+    const error = new AppStoreServerApiError(
+      response.status,
+      body.errorCode,
+      `App Store Server API ${environment} returned ${response.status}` +
+        (body.errorCode ? ` (${body.errorCode}: ${body.errorMessage ?? 'no message'})` : '')
+    );
+    if (error.retryable) {
+      appleRetryableErrors.inc({ api: 'server_api', reason: `http_${response.status}` });
+    }
+    throw error;
+  }
+
+  return (await response.json()) as T;
+}
+
+async function apiToken(): Promise<string> {
+  if (cachedToken && cachedToken.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return cachedToken.token;
+  }
+  if (!isAppStoreServerApiConfigured()) {
+    throw new Error('App Store Server API credentials are not configured');
+  }
+
+  // A rejected import is not cached, so a corrected key is picked up on the
+  // next call instead of after a restart.
+  signingKey ??= importPKCS8(config.appStorePrivateKey!, 'ES256').catch((err) => {
+    signingKey = undefined;
+    throw err;
+  });
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const token = await new SignJWT({ bid: config.appleBundleId })
+    .setProtectedHeader({ alg: 'ES256', kid: config.appStoreKeyId!, typ: 'JWT' })
+    .setIssuer(config.appStoreIssuerId!)
+    .setAudience(AUDIENCE)
+    .setIssuedAt(issuedAt)
+    .setExpirationTime(issuedAt + TOKEN_TTL_SECONDS)
+    .sign(await signingKey);
+
+  cachedToken = { token, expiresAt: (issuedAt + TOKEN_TTL_SECONDS) * 1000 };
+  return token;
+}
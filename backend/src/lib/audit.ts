@@ -0,0 +1,40 @@
+import type { Request } from 'express';
+import { Prisma } from '@prisma/client';
+import { prisma } from './prisma.js';
+import type { AdminActor } from './adminKeys.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('audit');
+
+// Written before the mutation runs, so a failed insert stops the request
+// instead of letting an unaudited change through. Returns the entry id for
+// recordAdminOutcome.
+export async function recordAdminAction(req: Request, actor: AdminActor, scope: string): Promise<string> {
+  const body = req.body && Object.keys(req.body).length > 0 ? (req.body as Prisma.InputJsonValue) : undefined;
+  const entry = await prisma.adminAuditLog.create({
+    data: {
+      keyId: actor.keyId,
+      actor: actor.name,
+      scope,
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip ?? null,
+      requestBody: body ?? Prisma.JsonNull
+    },
+    select: { id: true }
+  });
+  return entry.id;
+}
+
+// Fills in the status code once the response is done. A null status code
+// means the connection closed before a response was sent; the action itself
+// may still have happened.
+export function recordAdminOutcome(entryId: string, statusCode: number | null) {
+  if (statusCode === null) {
+    logger.error('Admin request closed before responding', { entryId });
+    return;
+  }
+  prisma.adminAuditLog
+    .update({ where: { id: entryId }, data: { statusCode } })
+    .catch((err) => logger.error('Failed to record admin action outcome', { entryId, statusCode, err }));
+}
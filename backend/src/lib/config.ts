@@ -10,15 +10,87 @@ function requireEnv(key: string): string {
   return value;
 }
 
+// Simulation trusts a locally generated CA, so it must never run in production.
+function storekitSimulationEnabled(): boolean {
+  if (process.env.STOREKIT_SIMULATION !== 'true') {
+    return false;
+  }
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('STOREKIT_SIMULATION cannot be enabled in production');
+  }
+  return true;
+}
+
+// Metrics expose purchase volumes and Apple error rates, so production scrapes
+// must authenticate.
+function metricsToken(): string | undefined {
+  const token = process.env.METRICS_TOKEN;
+  if (!token && process.env.NODE_ENV === 'production') {
+    throw new Error('METRICS_TOKEN is required in production');
+  }
+  return token || undefined;
+}
+
 export const config = {
   nodeEnv: process.env.NODE_ENV ?? 'development',
   port: Number(process.env.PORT ?? 4000),
   databaseUrl: requireEnv('DATABASE_URL'),
   redisUrl: requireEnv('REDIS_URL'),
   appApiKey: requireEnv('APP_API_KEY'),
-  adminApiKey: requireEnv('ADMIN_API_KEY'),
+  deviceTokenSecret: requireEnv('DEVICE_TOKEN_SECRET'),
+  deviceTokenTtlDays: Number(process.env.DEVICE_TOKEN_TTL_DAYS ?? 90),
+  adminApiKey: process.env.ADMIN_API_KEY,
   appleSharedSecret: requireEnv('APPLE_SHARED_SECRET'),
   appleVerifyReceiptUrl:
     process.env.APPLE_VERIFY_RECEIPT_URL ?? 'https://buy.itunes.apple.com/verifyReceipt',
-  logLevel: process.env.LOG_LEVEL ?? 'info'
+  // Where a 21007 (sandbox receipt sent to production) is retried.
+  appleSandboxVerifyReceiptUrl:
+    process.env.APPLE_SANDBOX_VERIFY_RECEIPT_URL ?? 'https://sandbox.itunes.apple.com/verifyReceipt',
+  appleBundleId: requireEnv('APPLE_BUNDLE_ID'),
+  // Production keeps Sandbox allowed so App Review purchases still validate.
+  appleEnvironments: (process.env.APPLE_ENVIRONMENTS ?? 'Production,Sandbox')
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean),
+  appleRootCaPath: process.env.APPLE_ROOT_CA_PATH,
+  // App Store Server API key from App Store Connect > Users and Access > Integrations.
+  // Validation goes through the API only when all three are set.
+  appStoreKeyId: process.env.APP_STORE_KEY_ID,
+  appStoreIssuerId: process.env.APP_STORE_ISSUER_ID,
+  appStorePrivateKey: process.env.APP_STORE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+  appStoreApiUrl: process.env.APP_STORE_API_URL ?? 'https://api.storekit.itunes.apple.com',
+  appStoreSandboxApiUrl:
+    process.env.APP_STORE_SANDBOX_API_URL ?? 'https://api.storekit-sandbox.itunes.apple.com',
+  // Purchases still pending after the minimum age are re-enqueued; past the
+  // maximum age they are failed for manual review.
+  pendingSweepIntervalMinutes: Number(process.env.PENDING_SWEEP_INTERVAL_MINUTES ?? 10),
+  pendingSweepMinAgeMinutes: Number(process.env.PENDING_SWEEP_MIN_AGE_MINUTES ?? 15),
+  pendingSweepMaxAgeHours: Number(process.env.PENDING_SWEEP_MAX_AGE_HOURS ?? 24),
+  outboxRelayIntervalMs: Number(process.env.OUTBOX_RELAY_INTERVAL_MS ?? 1000),
+  outboxRetentionDays: Number(process.env.OUTBOX_RETENTION_DAYS ?? 7),
+  // Publish attempts before a row is abandoned; with the backoff capped at 15
+  // minutes the default rides out a Redis outage of several hours.
+  outboxMaxAttempts: Number(process.env.OUTBOX_MAX_ATTEMPTS ?? 25),
+  impactCacheTtlSeconds: Number(process.env.IMPACT_CACHE_TTL_SECONDS ?? 300),
+  // Buying a day pass means the limit was not kept, so by default that local
+  // day cannot count towards a streak.
+  streakDayPassBreaks: (process.env.STREAK_DAY_PASS_BREAKS ?? 'true') !== 'false',
+  // Donation share of net subscription revenue in basis points. Unset uses the
+  // product's own donationRateBps; 0 turns donations off for subscriptions.
+  subscriptionDonationRateBps: process.env.SUBSCRIPTION_DONATION_RATE_BPS
+    ? Number(process.env.SUBSCRIPTION_DONATION_RATE_BPS)
+    : undefined,
+  logLevel: process.env.LOG_LEVEL ?? 'info',
+  metricsToken: metricsToken(),
+  workerMetricsPort: Number(process.env.WORKER_METRICS_PORT ?? 9464),
+  // The worker writes a heartbeat to Redis every interval; /readyz reports it
+  // stale once the last one is older than the threshold.
+  workerHeartbeatIntervalMs: Number(process.env.WORKER_HEARTBEAT_INTERVAL_MS ?? 10000),
+  workerHeartbeatStaleSeconds: Number(process.env.WORKER_HEARTBEAT_STALE_SECONDS ?? 60),
+  // How long an Idempotency-Key on POST /v1/purchases replays the original result.
+  idempotencyKeyTtlHours: Number(process.env.IDEMPOTENCY_KEY_TTL_HOURS ?? 24),
+  // Local StoreKit CA, stand-in verifyReceipt and fake purchases; see
+  // lib/storekitSimulator.ts. The CA is kept in storekitSimulatorDir.
+  storekitSimulation: storekitSimulationEnabled(),
+  storekitSimulatorDir: process.env.STOREKIT_SIMULATOR_DIR ?? '.storekit-simulator'
 };
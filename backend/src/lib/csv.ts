@@ -0,0 +1,20 @@
+type CsvValue = string | number | Date | null | undefined;
+
+// RFC 4180 quoting; dates are written as ISO timestamps. Text a spreadsheet
+// would run as a formula (charity names are free text) is prefixed with `'`.
+export function toCsvRow(values: CsvValue[]): string {
+  return `${values.map(formatCell).join(',')}\r\n`;
+}
+
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function formatCell(value: CsvValue): string {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'string' && FORMULA_PREFIX.test(value)) {
+    return `"'${value.replace(/"/g, '""')}"`;
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,53 @@
+import { createHash, randomBytes } from 'node:crypto';
+import { SignJWT, jwtVerify } from 'jose';
+import type { DeviceCredential } from '@prisma/client';
+import { config } from './config.js';
+
+const ISSUER = 'mindlock-api';
+const AUDIENCE = 'mindlock-app';
+
+const secret = new TextEncoder().encode(config.deviceTokenSecret);
+
+export interface DeviceTokenClaims {
+  userId: string;
+  deviceId: string;
+  tokenVersion: number;
+}
+
+export async function issueDeviceToken(device: DeviceCredential) {
+  const expiresAt = new Date(Date.now() + config.deviceTokenTtlDays * 24 * 60 * 60 * 1000);
+  const token = await new SignJWT({ ver: device.tokenVersion })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setIssuer(ISSUER)
+    .setAudience(AUDIENCE)
+    .setSubject(device.userId)
+    .setJti(device.id)
+    .setIssuedAt()
+    .setExpirationTime(expiresAt)
+    .sign(secret);
+  return { token, expiresAt };
+}
+
+// Signature and expiry only; the caller still has to check the device row for
+// revocation and rotation.
+export async function verifyDeviceToken(token: string): Promise<DeviceTokenClaims> {
+  const { payload } = await jwtVerify(token, secret, {
+    issuer: ISSUER,
+    audience: AUDIENCE,
+    algorithms: ['HS256']
+  });
+  if (!payload.sub || !payload.jti || typeof payload.ver !== 'number') {
+    throw new Error('Device token missing claims');
+  }
+  return { userId: payload.sub, deviceId: payload.jti, tokenVersion: payload.ver };
+}
+
+// Migration codes are shown to the admin once and stored hashed.
+export function generateMigrationCode() {
+  const code = randomBytes(24).toString('base64url');
+  return { code, codeHash: hashMigrationCode(code) };
+}
+
+export function hashMigrationCode(code: string): string {
+  return createHash('sha256').update(code).digest('hex');
+}
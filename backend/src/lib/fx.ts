@@ -0,0 +1,24 @@
+import type { FxRate, Prisma } from '@prisma/client';
+import { prisma } from './prisma.js';
+
+export const REPORTING_CURRENCY = 'USD';
+
+type Client = Prisma.TransactionClient | typeof prisma;
+
+// Latest rate for the currency that was already in effect at `at`.
+export async function findFxRate(
+  currency: string,
+  at: Date,
+  client: Client = prisma
+): Promise<FxRate | null> {
+  return client.fxRate.findFirst({
+    where: { currency, effectiveFrom: { lte: at } },
+    orderBy: { effectiveFrom: 'desc' }
+  });
+}
+
+// StoreKit reports prices in milliunits of the storefront currency.
+export function millisToUsdCents(millis: number, rate: Pick<FxRate, 'usdPerUnit'> | null): number {
+  const usdPerUnit = rate ? rate.usdPerUnit.toNumber() : 1;
+  return Math.round((millis * usdPerUnit) / 10);
+}
@@ -0,0 +1,62 @@
+import os from 'node:os';
+import { config } from './config.js';
+import { redis } from './redis.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('heartbeat');
+
+const HEARTBEAT_PREFIX = 'mindlock:worker:heartbeat:';
+
+export type WorkerHeartbeat = {
+  at: string;
+  hostname: string;
+  pid: number;
+};
+
+// Each worker process beats under its own key, so one shutting down during a
+// rolling deploy does not hide the others. The key expires a few intervals
+// after the last beat, so a crashed worker disappears on its own; readiness
+// also checks the age for a hung one.
+export function startWorkerHeartbeat(): () => Promise<void> {
+  const intervalMs = config.workerHeartbeatIntervalMs;
+  const key = `${HEARTBEAT_PREFIX}${os.hostname()}:${process.pid}`;
+  const beat = async () => {
+    const heartbeat: WorkerHeartbeat = {
+      at: new Date().toISOString(),
+      hostname: os.hostname(),
+      pid: process.pid
+    };
+    try {
+      await redis.set(key, JSON.stringify(heartbeat), 'PX', intervalMs * 6);
+    } catch (err) {
+      logger.error('Failed to publish heartbeat', err);
+    }
+  };
+
+  void beat();
+  const timer = setInterval(beat, intervalMs);
+  return async () => {
+    clearInterval(timer);
+    await redis.del(key).catch(() => undefined);
+  };
+}
+
+// The most recent beat across all workers, plus how many are still beating.
+export async function readWorkerHeartbeat(): Promise<{ latest: WorkerHeartbeat; workers: number } | null> {
+  const keys: string[] = [];
+  let cursor = '0';
+  do {
+    const [next, batch] = await redis.scan(cursor, 'MATCH', `${HEARTBEAT_PREFIX}*`, 'COUNT', 100);
+    cursor = next;
+    keys.push(...batch);
+  } while (cursor !== '0');
+  if (keys.length === 0) {
+    return null;
+  }
+
+  const heartbeats = (await redis.mget(keys))
+    .filter((value): value is string => value !== null)
+    .map((value) => JSON.parse(value) as WorkerHeartbeat)
+    .sort((a, b) => b.at.localeCompare(a.at));
+  return heartbeats.length > 0 ? { latest: heartbeats[0], workers: heartbeats.length } : null;
+}
@@ -0,0 +1,56 @@
+// Minimal helpers for the server-rendered admin pages; everything interpolated
+// into markup goes through escapeHtml.
+export function escapeHtml(value: unknown): string {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export function formatCents(cents: number): string {
+  const sign = cents < 0 ? '-' : '';
+  return `${sign}$${(Math.abs(cents) / 100).toFixed(2)}`;
+}
+
+export function renderTable(headers: string[], rows: unknown[][]): string {
+  if (rows.length === 0) {
+    return '<p class="empty">Nothing to show.</p>';
+  }
+  const head = headers.map((header) => `<th>${escapeHtml(header)}</th>`).join('');
+  const body = rows
+    .map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`)
+    .join('');
+  return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+}
+
+export function renderPage(title: string, body: string): string {
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(title)} · MindLock ops</title>
+<style>
+  body { font: 14px/1.4 -apple-system, system-ui, sans-serif; margin: 24px; color: #1d1d1f; }
+  nav a { margin-right: 16px; }
+  table { border-collapse: collapse; margin-top: 12px; }
+  th, td { border-bottom: 1px solid #ddd; padding: 6px 10px; text-align: left; }
+  th { background: #f5f5f7; }
+  .empty { color: #86868b; }
+</style>
+</head>
+<body>
+<nav>
+  <a href="/ops">Overview</a>
+  <a href="/ops/purchases">Purchases</a>
+  <a href="/ops/failures">Failed validations</a>
+  <a href="/ops/donations">Donations this month</a>
+  <a href="/ops/queues">Queues</a>
+</nav>
+<h1>${escapeHtml(title)}</h1>
+${body}
+</body>
+</html>`;
+}
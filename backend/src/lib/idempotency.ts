@@ -0,0 +1,43 @@
+import { createHash } from 'node:crypto';
+import type { Prisma } from '@prisma/client';
+import { prisma } from './prisma.js';
+import { config } from './config.js';
+
+// Key order does not matter: the same body always hashes the same.
+export function hashRequest(body: Record<string, unknown>): string {
+  const canonical = JSON.stringify(
+    Object.keys(body)
+      .sort()
+      .map((key) => [key, body[key]])
+  );
+  return createHash('sha256').update(canonical).digest('hex');
+}
+
+export async function findIdempotencyKey(userId: string, key: string) {
+  return prisma.idempotencyKey.findFirst({
+    where: { userId, key, expiresAt: { gt: new Date() } }
+  });
+}
+
+export async function recordIdempotencyKey(
+  tx: Prisma.TransactionClient,
+  entry: { userId: string; key: string; requestHash: string; purchaseId: string }
+) {
+  // An expired row for the same key may still be waiting for the prune job.
+  await tx.idempotencyKey.deleteMany({
+    where: { userId: entry.userId, key: entry.key, expiresAt: { lte: new Date() } }
+  });
+  return tx.idempotencyKey.create({
+    data: {
+      ...entry,
+      expiresAt: new Date(Date.now() + config.idempotencyKeyTtlHours * 60 * 60 * 1000)
+    }
+  });
+}
+
+export async function pruneExpiredIdempotencyKeys() {
+  const { count } = await prisma.idempotencyKey.deleteMany({
+    where: { expiresAt: { lte: new Date() } }
+  });
+  return count;
+}
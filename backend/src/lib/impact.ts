@@ -0,0 +1,123 @@
+import type { Prisma } from '@prisma/client';
+import { prisma } from './prisma.js';
+import { redis } from './redis.js';
+import { config } from './config.js';
+import { currentMonth, monthRange } from './months.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('impact');
+
+// Public figures only: no user ids, and reversed (refunded) donations are left
+// out so the totals never overstate what charities receive.
+export type ImpactSnapshot = {
+  totalDonatedCents: number;
+  totalDayPasses: number;
+  thisMonth: {
+    month: string;
+    donatedCents: number;
+    dayPasses: number;
+  };
+  leaderboard: Array<{
+    charityId: string;
+    charityName: string;
+    donatedCents: number;
+    dayPasses: number;
+  }>;
+  generatedAt: string;
+};
+
+const CACHE_PREFIX = 'impact:snapshot';
+
+function cacheKey(month: string) {
+  return `${CACHE_PREFIX}:${month}`;
+}
+
+export async function getImpactSnapshot(): Promise<ImpactSnapshot> {
+  const month = currentMonth();
+  const key = cacheKey(month);
+
+  try {
+    const cached = await redis.get(key);
+    if (cached) {
+      return JSON.parse(cached) as ImpactSnapshot;
+    }
+  } catch (err) {
+    logger.error('Cache read failed', err);
+  }
+
+  const snapshot = await computeImpactSnapshot(month);
+  redis
+    .set(key, JSON.stringify(snapshot), 'EX', config.impactCacheTtlSeconds)
+    .catch((err) => logger.error('Cache write failed', err));
+  return snapshot;
+}
+
+// Called whenever a donation is booked or reversed. Best effort: the TTL
+// bounds staleness if Redis is unreachable.
+export async function invalidateImpactCache() {
+  try {
+    await redis.del(cacheKey(currentMonth()));
+  } catch (err) {
+    logger.error('Cache invalidation failed', err);
+  }
+}
+
+async function computeImpactSnapshot(month: string): Promise<ImpactSnapshot> {
+  const { start, end } = monthRange(month);
+  const dayPassWhere: Prisma.CharityDonationWhereInput = {
+    reversedAt: null,
+    purchase: { product: { type: 'consumable' } }
+  };
+  const [totals, monthTotals, monthDayPasses, byCharity, dayPassesByCharity, charities] = await Promise.all([
+    prisma.charityDonation.aggregate({
+      where: { reversedAt: null },
+      _sum: { donationCents: true }
+    }),
+    prisma.charityDonation.aggregate({
+      where: { reversedAt: null, purchase: { completedAt: { gte: start, lt: end } } },
+      _sum: { donationCents: true }
+    }),
+    prisma.charityDonation.count({
+      where: {
+        reversedAt: null,
+        purchase: { product: { type: 'consumable' }, completedAt: { gte: start, lt: end } }
+      }
+    }),
+    prisma.charityDonation.groupBy({
+      by: ['charityId'],
+      where: { reversedAt: null },
+      _sum: { donationCents: true }
+    }),
+    // Subscriptions donate too, but only one-off unlocks count as day passes.
+    prisma.charityDonation.groupBy({
+      by: ['charityId'],
+      where: dayPassWhere,
+      _count: { _all: true }
+    }),
+    prisma.charity.findMany({ where: { isActive: true }, select: { id: true, name: true } })
+  ]);
+
+  const names = new Map(charities.map((charity) => [charity.id, charity.name]));
+  const dayPasses = new Map(dayPassesByCharity.map((row) => [row.charityId, row._count._all]));
+  const leaderboard = byCharity
+    .filter((row) => names.has(row.charityId))
+    .map((row) => ({
+      charityId: row.charityId,
+      charityName: names.get(row.charityId)!,
+      donatedCents: row._sum.donationCents ?? 0,
+      dayPasses: dayPasses.get(row.charityId) ?? 0
+    }))
+    .sort((a, b) => b.donatedCents - a.donatedCents);
+
+  return {
+    totalDonatedCents: totals._sum.donationCents ?? 0,
+    totalDayPasses: dayPassesByCharity.reduce((sum, row) => sum + row._count._all, 0),
+    thisMonth: {
+      month,
+      donatedCents: monthTotals._sum.donationCents ?? 0,
+      dayPasses: monthDayPasses
+    },
+    leaderboard,
+    generatedAt: new Date().toISOString()
+  };
+}
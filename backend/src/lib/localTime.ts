@@ -0,0 +1,70 @@
+// Calendar days in a user's IANA timezone, formatted "YYYY-MM-DD".
+export const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export function isValidTimeZone(timeZone: string): boolean {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function localDay(at: Date, timeZone: string): string {
+  // en-CA formats as YYYY-MM-DD.
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(at);
+}
+
+// Pure calendar arithmetic, so it is unaffected by DST in any zone.
+export function shiftDay(day: string, days: number): string {
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, date + days)).toISOString().slice(0, 10);
+}
+
+// The instant the given local day starts. Computed from the zone's UTC offset
+// at that moment, re-checked once so a DST change on the day itself is handled.
+// Where clocks skip midnight (e.g. America/Santiago) the day starts at the
+// first wall-clock time that exists.
+export function startOfLocalDay(day: string, timeZone: string): Date {
+  const [year, month, date] = day.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, date);
+  let instant = wallClock - zoneOffsetMs(new Date(wallClock), timeZone);
+  instant = wallClock - zoneOffsetMs(new Date(instant), timeZone);
+  while (localDay(new Date(instant), timeZone) < day) {
+    instant += 15 * 60 * 1000;
+  }
+  return new Date(instant);
+}
+
+export function nextLocalMidnight(at: Date, timeZone: string): Date {
+  return startOfLocalDay(shiftDay(localDay(at, timeZone), 1), timeZone);
+}
+
+function zoneOffsetMs(at: Date, timeZone: string): number {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(at);
+  const field = (type: Intl.DateTimeFormatPartTypes) =>
+    Number(parts.find((part) => part.type === type)?.value);
+  const asUtc = Date.UTC(
+    field('year'),
+    field('month') - 1,
+    field('day'),
+    field('hour'),
+    field('minute'),
+    field('second')
+  );
+  return asUtc - Math.floor(at.getTime() / 1000) * 1000;
+}
@@ -0,0 +1,158 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import type { Job } from 'bullmq';
+import { config } from './config.js';
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+type LogFields = Record<string, unknown>;
+
+export interface Logger {
+  debug(message: string, fields?: unknown): void;
+  info(message: string, fields?: unknown): void;
+  warn(message: string, fields?: unknown): void;
+  error(message: string, fields?: unknown): void;
+}
+
+// What every line written inside a request or job carries: `requestId` for the
+// HTTP request that started the work, plus the job when running in the worker.
+export type LogContext = {
+  requestId?: string;
+  queue?: string;
+  jobId?: string;
+};
+
+const LEVELS: Record<LogLevel, number> = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const threshold = LEVELS[config.logLevel as LogLevel] ?? LEVELS.info;
+
+const contextStorage = new AsyncLocalStorage<LogContext>();
+
+const REDACTED = '[REDACTED]';
+
+// Compared case-insensitively with dashes and underscores removed, so
+// `transactionJWS`, `receipt-data` and `shared_secret` all match.
+const SENSITIVE_KEYS = new Set([
+  'transactionjws',
+  'signedtransactioninfo',
+  'signedrenewalinfo',
+  'signedpayload',
+  'receiptdata',
+  'password',
+  'sharedsecret',
+  'applesharedsecret',
+  'secret',
+  'token',
+  'authorization',
+  'email',
+  'useremail'
+]);
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// Compact JWS: three base64url segments. Long enough to skip ordinary ids.
+const JWS_PATTERN = /\beyJ[\w-]{10,}\.[\w-]{10,}\.[\w-]{10,}\b/g;
+
+export function createLogger(component: string): Logger {
+  const write = (level: LogLevel) => (message: string, fields?: unknown) => {
+    if (LEVELS[level] < threshold) {
+      return;
+    }
+    const line = {
+      time: new Date().toISOString(),
+      level,
+      component,
+      msg: redactString(message),
+      ...contextStorage.getStore(),
+      ...toFields(fields)
+    };
+    const output = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+    output.write(`${JSON.stringify(line)}\n`);
+  };
+
+  return {
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error')
+  };
+}
+
+export function runWithLogContext<T>(context: LogContext, fn: () => T): T {
+  return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+}
+
+export function currentRequestId(): string | undefined {
+  return contextStorage.getStore()?.requestId;
+}
+
+// Wraps a BullMQ processor so everything it logs carries the job and the
+// request id the producer stored in the job data.
+export function withJobLogContext<T extends Job>(handler: (job: T) => Promise<unknown>) {
+  return (job: T) =>
+    runWithLogContext(
+      {
+        requestId: typeof job.data?.requestId === 'string' ? job.data.requestId : undefined,
+        queue: job.queueName,
+        jobId: job.id
+      },
+      () => handler(job)
+    );
+}
+
+// Non-object values (a bare error, a string) end up under `err` or `detail`
+// so every line stays a flat JSON object.
+function toFields(fields: unknown): LogFields {
+  if (fields === undefined) {
+    return {};
+  }
+  if (fields instanceof Error) {
+    return { err: redact(fields) };
+  }
+  if (fields && typeof fields === 'object' && !Array.isArray(fields)) {
+    return redact(fields) as LogFields;
+  }
+  return { detail: redact(fields) };
+}
+
+function redact(value: unknown, depth = 0): unknown {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth > 6) {
+    return '[Truncated]';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message),
+      ...(value.stack ? { stack: redactString(value.stack) } : {}),
+      ...(redact({ ...value }, depth + 1) as LogFields)
+    };
+  }
+  if (Array.isArray(value)) {
+    return value.map((entry) => redact(entry, depth + 1));
+  }
+
+  const result: LogFields = {};
+  for (const [key, entry] of Object.entries(value)) {
+    result[key] = isSensitiveKey(key) && entry != null ? REDACTED : redact(entry, depth + 1);
+  }
+  return result;
+}
+
+function isSensitiveKey(key: string): boolean {
+  return SENSITIVE_KEYS.has(key.replace(/[-_]/g, '').toLowerCase());
+}
+
+function redactString(value: string): string {
+  let result = value.replace(JWS_PATTERN, REDACTED).replace(EMAIL_PATTERN, REDACTED);
+  if (config.appleSharedSecret && result.includes(config.appleSharedSecret)) {
+    result = result.split(config.appleSharedSecret).join(REDACTED);
+  }
+  return result;
+}
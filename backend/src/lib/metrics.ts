@@ -0,0 +1,117 @@
+import http from 'node:http';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { Counter, Gauge, Histogram, Registry, collectDefaultMetrics } from 'prom-client';
+import type { Queue } from 'bullmq';
+import { config } from './config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('metrics');
+
+// One registry per process; the API serves it on /metrics and the worker on
+// its own listener (see startMetricsServer).
+export const metricsRegistry = new Registry();
+
+collectDefaultMetrics({ register: metricsRegistry, prefix: 'mindlock_' });
+
+export const httpRequestDuration = new Histogram({
+  name: 'mindlock_http_request_duration_seconds',
+  help: 'HTTP request latency by route template and status code',
+  labelNames: ['method', 'route', 'status'] as const,
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [metricsRegistry]
+});
+
+export const purchasesCreated = new Counter({
+  name: 'mindlock_purchases_created_total',
+  help: 'Purchases stored, by product and whether the app or a renewal created them',
+  labelNames: ['product', 'source'] as const,
+  registers: [metricsRegistry]
+});
+
+// `outcome` is completed, failed or retry; `reason` is a FailureClass from
+// jobs/validateReceipt.ts, never the free-text failure reason.
+export const validationOutcomes = new Counter({
+  name: 'mindlock_validations_total',
+  help: 'Receipt validation attempts by path, outcome and failure class',
+  labelNames: ['path', 'outcome', 'reason'] as const,
+  registers: [metricsRegistry]
+});
+
+export const appleRequestDuration = new Histogram({
+  name: 'mindlock_apple_request_duration_seconds',
+  help: 'Latency of calls to verifyReceipt and the App Store Server API',
+  labelNames: ['api', 'environment', 'status'] as const,
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [metricsRegistry]
+});
+
+export const appleRetryableErrors = new Counter({
+  name: 'mindlock_apple_retryable_errors_total',
+  help: 'Apple responses and network errors that caused a validation retry',
+  labelNames: ['api', 'reason'] as const,
+  registers: [metricsRegistry]
+});
+
+export const reportJobDuration = new Histogram({
+  name: 'mindlock_report_job_duration_seconds',
+  help: 'Monthly report generation time',
+  labelNames: ['outcome'] as const,
+  buckets: [0.5, 1, 5, 15, 30, 60, 120, 300, 600],
+  registers: [metricsRegistry]
+});
+
+const QUEUE_STATES = ['waiting', 'active', 'delayed', 'failed'] as const;
+
+// Registered by the worker only, so depth is reported once rather than by
+// every API instance.
+export function registerQueueDepthMetric(queues: Queue[]) {
+  return new Gauge({
+    name: 'mindlock_queue_jobs',
+    help: 'BullMQ jobs per queue and state',
+    labelNames: ['queue', 'state'] as const,
+    registers: [metricsRegistry],
+    async collect() {
+      const counts = await Promise.all(queues.map((queue) => queue.getJobCounts(...QUEUE_STATES)));
+      queues.forEach((queue, index) => {
+        for (const state of QUEUE_STATES) {
+          this.set({ queue: queue.name, state }, counts[index][state] ?? 0);
+        }
+      });
+    }
+  });
+}
+
+// Scrapes send METRICS_TOKEN as a bearer token. Config refuses to start
+// without one in production, so only local setups are left open.
+export function isAuthorizedScrape(authorization: string | undefined): boolean {
+  if (!config.metricsToken) {
+    return true;
+  }
+  const expected = createHash('sha256').update(`Bearer ${config.metricsToken}`).digest();
+  const presented = createHash('sha256').update(authorization ?? '').digest();
+  return timingSafeEqual(expected, presented);
+}
+
+// Bare listener for the worker, which has no Express app. Returns a function
+// that closes it.
+export function startMetricsServer(port: number): () => Promise<void> {
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== 'GET' || req.url?.split('?')[0] !== '/metrics') {
+      res.writeHead(404).end();
+      return;
+    }
+    if (!isAuthorizedScrape(req.headers.authorization)) {
+      res.writeHead(401).end();
+      return;
+    }
+    try {
+      const body = await metricsRegistry.metrics();
+      res.writeHead(200, { 'Content-Type': metricsRegistry.contentType }).end(body);
+    } catch (err) {
+      logger.error('Failed to collect metrics', err);
+      res.writeHead(500).end();
+    }
+  });
+  server.listen(port, () => logger.info('Metrics listener ready', { port }));
+  return () => new Promise((resolve) => server.close(() => resolve()));
+}
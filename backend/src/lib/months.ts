@@ -0,0 +1,28 @@
+// Report months are UTC calendar months formatted "YYYY-MM".
+export const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+export function currentMonth(): string {
+  return monthOf(new Date());
+}
+
+export function monthOf(date: Date): string {
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+export function previousMonth(): string {
+  const date = new Date();
+  date.setUTCDate(1);
+  date.setUTCHours(0, 0, 0, 0);
+  date.setUTCMonth(date.getUTCMonth() - 1);
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+export function monthRange(month: string) {
+  const [year, monthPart] = month.split('-').map((part) => Number(part));
+  if (!year || !monthPart || monthPart > 12) {
+    throw new Error(`Invalid month format: ${month}`);
+  }
+  const start = new Date(Date.UTC(year, monthPart - 1, 1, 0, 0, 0, 0));
+  const end = new Date(Date.UTC(year, monthPart, 1, 0, 0, 0, 0));
+  return { start, end };
+}
@@ -0,0 +1,113 @@
+import type { JobsOptions, Queue } from 'bullmq';
+import type { OutboxMessage, Prisma } from '@prisma/client';
+import { prisma } from './prisma.js';
+import { reportQueue, validateReceiptQueue } from './queues.js';
+import { config } from './config.js';
+import { createLogger, currentRequestId } from './logger.js';
+
+const logger = createLogger('outbox');
+
+// Failed publishes wait 1s, 2s, 4s, ... up to the cap between attempts.
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 15 * 60 * 1000;
+
+export type OutboxQueue = 'validate-receipt' | 'generate-report';
+
+const queues: Record<OutboxQueue, Queue> = {
+  'validate-receipt': validateReceiptQueue,
+  'generate-report': reportQueue
+};
+
+export type OutboxJob = {
+  queue: OutboxQueue;
+  name: string;
+  jobId: string;
+  data: Prisma.InputJsonObject;
+  options?: Prisma.InputJsonObject;
+};
+
+// Write inside the transaction that makes the job necessary. Rows are
+// published at least once; the jobId makes BullMQ drop repeats while the job
+// is still in Redis, and the handlers are idempotent for the rest. The current
+// request id rides along in the job data so worker logs can be joined to it.
+export async function addToOutbox(tx: Prisma.TransactionClient, job: OutboxJob) {
+  const requestId = currentRequestId();
+  return tx.outboxMessage.create({
+    data: {
+      queue: job.queue,
+      jobName: job.name,
+      jobId: job.jobId,
+      payload: requestId ? { ...job.data, requestId } : job.data,
+      options: job.options
+    }
+  });
+}
+
+// Publishes one row and marks it dispatched. Failures are recorded on the row
+// and left for the relay rather than thrown; after OUTBOX_MAX_ATTEMPTS the row
+// is abandoned so it stops competing with newer ones.
+export async function dispatchOutboxMessage(message: OutboxMessage): Promise<boolean> {
+  const queue = queues[message.queue as OutboxQueue];
+  try {
+    if (!queue) {
+      throw new Error(`Unknown outbox queue ${message.queue}`);
+    }
+    await queue.add(message.jobName, message.payload, {
+      ...((message.options ?? {}) as JobsOptions),
+      jobId: message.jobId
+    });
+    await prisma.outboxMessage.update({
+      where: { id: message.id },
+      data: { dispatchedAt: new Date(), attempts: { increment: 1 }, lastError: null }
+    });
+    return true;
+  } catch (err) {
+    const attempts = message.attempts + 1;
+    const abandon = attempts >= config.outboxMaxAttempts;
+    const delayMs = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+    await prisma.outboxMessage
+      .update({
+        where: { id: message.id },
+        data: {
+          attempts: { increment: 1 },
+          lastError: (err as Error).message,
+          nextAttemptAt: new Date(Date.now() + delayMs),
+          abandonedAt: abandon ? new Date() : null
+        }
+      })
+      .catch(() => undefined);
+    if (abandon) {
+      logger.error('Abandoned outbox message', {
+        messageId: message.id,
+        queue: message.queue,
+        jobId: message.jobId,
+        attempts,
+        err
+      });
+    }
+    return false;
+  }
+}
+
+export async function relayOutbox(batchSize = 100) {
+  const pending = await prisma.outboxMessage.findMany({
+    where: { dispatchedAt: null, abandonedAt: null, nextAttemptAt: { lte: new Date() } },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: batchSize
+  });
+
+  let dispatched = 0;
+  for (const message of pending) {
+    if (await dispatchOutboxMessage(message)) {
+      dispatched += 1;
+    }
+  }
+  return { pending: pending.length, dispatched };
+}
+
+export async function pruneOutbox(dispatchedBefore: Date) {
+  const { count } = await prisma.outboxMessage.deleteMany({
+    where: { dispatchedAt: { lt: dispatchedBefore } }
+  });
+  return count;
+}
@@ -0,0 +1,42 @@
+import type { Product } from '@prisma/client';
+import { config } from './config.js';
+
+export interface PurchaseSplit {
+  grossCents: number;
+  appleFeeCents: number;
+  netCents: number;
+  donationCents: number;
+  appleFeeRateBps: number;
+  donationRateBps: number;
+}
+
+// gross -> Apple fee -> net -> donation share of net, rounded to whole cents at
+// each step. The rates are returned too so purchases can snapshot them.
+export function computeSplit(
+  product: Pick<Product, 'priceCents' | 'appleFeeRateBps' | 'donationRateBps'>
+): PurchaseSplit {
+  const grossCents = product.priceCents;
+  const appleFeeCents = Math.round((grossCents * product.appleFeeRateBps) / 10_000);
+  const netCents = grossCents - appleFeeCents;
+  const donationCents = Math.round((netCents * product.donationRateBps) / 10_000);
+  return {
+    grossCents,
+    appleFeeCents,
+    netCents,
+    donationCents,
+    appleFeeRateBps: product.appleFeeRateBps,
+    donationRateBps: product.donationRateBps
+  };
+}
+
+// The catalog rates with the configured subscription donation rate applied.
+export function purchaseRates(
+  product: Pick<Product, 'type' | 'priceCents' | 'appleFeeRateBps' | 'donationRateBps'>
+) {
+  const override = product.type === 'auto_renewable' ? config.subscriptionDonationRateBps : undefined;
+  return {
+    priceCents: product.priceCents,
+    appleFeeRateBps: product.appleFeeRateBps,
+    donationRateBps: override ?? product.donationRateBps
+  };
+}
@@ -0,0 +1,39 @@
+import type { Prisma, PurchaseStatus } from '@prisma/client';
+import type { OutboxJob } from './outbox.js';
+
+export const WORKER_ACTOR = 'worker';
+export const APPLE_ACTOR = 'apple';
+
+export interface StatusChange {
+  purchaseId: string;
+  fromStatus: PurchaseStatus | null;
+  toStatus: PurchaseStatus;
+  reason: string;
+  actor: string;
+}
+
+// Call inside the transaction that changes the status so the history never
+// disagrees with the purchase row.
+export async function recordStatusChange(tx: Prisma.TransactionClient, change: StatusChange) {
+  await tx.purchaseStatusHistory.create({ data: change });
+}
+
+// The first attempt uses a stable job id so duplicate submissions collapse;
+// manual retries pass a suffix because BullMQ keeps the failed original.
+export function validationJob(purchaseId: string, retryTag?: string): OutboxJob {
+  return {
+    queue: 'validate-receipt',
+    name: 'validate-receipt',
+    jobId: retryTag ? `validate-${purchaseId}-${retryTag}` : `validate-${purchaseId}`,
+    data: { purchaseId },
+    options: {
+      attempts: 5,
+      backoff: {
+        type: 'exponential',
+        delay: 1000
+      },
+      removeOnComplete: true,
+      removeOnFail: false
+    }
+  };
+}
@@ -0,0 +1,42 @@
+import type { Prisma } from '@prisma/client';
+
+export const purchaseViewInclude = {
+  charity: { select: { id: true, name: true } },
+  donation: true
+} satisfies Prisma.PurchaseInclude;
+
+type PurchaseWithDonation = Prisma.PurchaseGetPayload<{ include: typeof purchaseViewInclude }>;
+
+// Shape returned to the app. Receipt data and the raw JWS never leave the
+// backend once submitted.
+export function toPurchaseView(purchase: PurchaseWithDonation) {
+  return {
+    id: purchase.id,
+    productId: purchase.productId,
+    status: purchase.status,
+    failureReason: purchase.failureReason,
+    createdAt: purchase.createdAt,
+    completedAt: purchase.completedAt,
+    refundedAt: purchase.refundedAt,
+    currency: purchase.currency,
+    storefront: purchase.storefront,
+    charity: purchase.charity,
+    breakdown: {
+      grossCents: purchase.grossCents,
+      appleFeeCents: purchase.appleFeeCents,
+      netCents: purchase.netCents,
+      donationCents: purchase.donationCents,
+      appleFeeRateBps: purchase.appleFeeRateBps,
+      donationRateBps: purchase.donationRateBps,
+      grossMillis: purchase.grossMillis,
+      donationMillis: purchase.donationMillis
+    },
+    donation: purchase.donation
+      ? {
+          donationCents: purchase.donation.donationCents,
+          recordedAt: purchase.donation.recordedAt,
+          reversedAt: purchase.donation.reversedAt
+        }
+      : null
+  };
+}
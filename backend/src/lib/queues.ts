@@ -8,6 +8,7 @@ const bullOptions = { connection: redisConnection, prefix: 'mindlock' } as const
 
 export const validateReceiptQueue = new Queue('validate-receipt', bullOptions);
 export const reportQueue = new Queue('generate-report', bullOptions);
+export const maintenanceQueue = new Queue('maintenance', bullOptions);
 
 export const validateReceiptEvents = new QueueEvents('validate-receipt', bullOptions);
 export const reportEvents = new QueueEvents('generate-report', bullOptions);
@@ -1,5 +1,8 @@
 import { Redis } from 'ioredis';
 import { config } from './config.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('redis');
 
 export function createRedisConnection() {
   const client = new Redis(config.redisUrl, {
@@ -7,7 +10,7 @@ export function createRedisConnection() {
     maxRetriesPerRequest: null,
   });
   client.on('error', (err) => {
-    console.error('[redis] error', err);
+    logger.error('Connection error', err);
   });
   return client;
 }
@@ -0,0 +1,93 @@
+import { Prisma } from '@prisma/client';
+import { prisma } from './prisma.js';
+import { APPLE_ACTOR, recordStatusChange } from './purchaseStatus.js';
+import { invalidateImpactCache } from './impact.js';
+import { revokeUnlockGrant } from './unlockGrants.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('refunds');
+
+export type RefundOutcome = 'refunded' | 'already_refunded' | 'refunded_before_validation' | 'ignored';
+
+// Refunds never delete the original donation: it stays attached to the month it
+// was recorded in and is offset in the month it was reversed, so reports that
+// were already paid out keep their figures.
+export async function refundPurchase(
+  purchaseId: string,
+  reason: string,
+  refundedAt: Date
+): Promise<RefundOutcome> {
+  const outcome = await prisma.$transaction(async (tx: Prisma.TransactionClient): Promise<RefundOutcome> => {
+    const updated = await tx.purchase.updateMany({
+      where: { id: purchaseId, status: 'completed' },
+      data: {
+        status: 'refunded',
+        refundedAt,
+        refundReason: reason
+      }
+    });
+
+    if (updated.count === 0) {
+      return refundUncompletedPurchase(tx, purchaseId, reason, refundedAt);
+    }
+
+    await tx.charityDonation.updateMany({
+      where: { purchaseId, reversedAt: null },
+      data: { reversedAt: refundedAt }
+    });
+    await revokeUnlockGrant(tx, purchaseId, `Refunded: ${reason}`);
+
+    await recordStatusChange(tx, {
+      purchaseId,
+      fromStatus: 'completed',
+      toStatus: 'refunded',
+      reason,
+      actor: APPLE_ACTOR
+    });
+
+    return 'refunded';
+  });
+
+  if (outcome === 'refunded') {
+    await invalidateImpactCache();
+  }
+  return outcome;
+}
+
+// Only completed purchases have a donation to reverse. One still awaiting
+// validation is failed so the worker cannot complete it afterwards; a failed
+// one never counted and is left as it is.
+async function refundUncompletedPurchase(
+  tx: Prisma.TransactionClient,
+  purchaseId: string,
+  reason: string,
+  refundedAt: Date
+): Promise<RefundOutcome> {
+  const failureReason = `Refunded before validation: ${reason}`;
+  const failed = await tx.purchase.updateMany({
+    where: { id: purchaseId, status: 'pending_validation' },
+    data: { status: 'failed', failureReason, refundedAt, refundReason: reason }
+  });
+  if (failed.count > 0) {
+    await revokeUnlockGrant(tx, purchaseId, failureReason);
+    await recordStatusChange(tx, {
+      purchaseId,
+      fromStatus: 'pending_validation',
+      toStatus: 'failed',
+      reason: failureReason,
+      actor: APPLE_ACTOR
+    });
+    return 'refunded_before_validation';
+  }
+
+  const current = await tx.purchase.findUnique({ where: { id: purchaseId }, select: { status: true } });
+  if (current?.status === 'refunded') {
+    return 'already_refunded';
+  }
+  logger.warn('Ignored refund for purchase that never completed', {
+    purchaseId,
+    status: current?.status,
+    reason
+  });
+  return 'ignored';
+}
@@ -0,0 +1,60 @@
+import type { Prisma } from '@prisma/client';
+import type { MonthlyReportCharity } from '../jobs/monthlyReport.js';
+
+interface ReportPayload {
+  totals?: Record<string, number>;
+  charities?: MonthlyReportCharity[];
+}
+
+interface NumberChange {
+  from: number | null;
+  to: number | null;
+  delta: number;
+}
+
+// Field-level changes between two stored report payloads. Unchanged figures are
+// left out so the diff reads as "what moved".
+export function diffReportPayloads(from: Prisma.JsonValue, to: Prisma.JsonValue) {
+  const before = from as ReportPayload;
+  const after = to as ReportPayload;
+
+  const charitiesBefore = new Map((before.charities ?? []).map((charity) => [charity.charityId, charity]));
+  const charitiesAfter = new Map((after.charities ?? []).map((charity) => [charity.charityId, charity]));
+  const charityIds = new Set([...charitiesBefore.keys(), ...charitiesAfter.keys()]);
+
+  const charities = Array.from(charityIds)
+    .map((charityId) => {
+      const previous = charitiesBefore.get(charityId);
+      const next = charitiesAfter.get(charityId);
+      return {
+        charityId,
+        charityName: next?.charityName ?? previous?.charityName ?? null,
+        changes: diffNumbers(
+          previous as Record<string, unknown> | undefined,
+          next as Record<string, unknown> | undefined
+        )
+      };
+    })
+    .filter((charity) => Object.keys(charity.changes).length > 0);
+
+  return {
+    totals: diffNumbers(before.totals, after.totals),
+    charities
+  };
+}
+
+function diffNumbers(
+  before: Record<string, unknown> | undefined,
+  after: Record<string, unknown> | undefined
+): Record<string, NumberChange> {
+  const changes: Record<string, NumberChange> = {};
+  const keys = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]);
+  for (const key of keys) {
+    const from = typeof before?.[key] === 'number' ? (before[key] as number) : null;
+    const to = typeof after?.[key] === 'number' ? (after[key] as number) : null;
+    if ((from !== null || to !== null) && from !== to) {
+      changes[key] = { from, to, delta: (to ?? 0) - (from ?? 0) };
+    }
+  }
+  return changes;
+}
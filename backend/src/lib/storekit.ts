@@ -1,4 +1,8 @@
-import { compactVerify, importX509, type CompactVerifyResult } from 'jose';
+import { X509Certificate } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { compactVerify, errors, importX509, type CompactVerifyResult } from 'jose';
+import { config } from './config.js';
+import { simulatorRootFingerprint } from './storekitSimulator.js';
 
 export interface StoreKitTransactionPayload {
   transactionId: string;
@@ -8,28 +12,249 @@ export interface StoreKitTransactionPayload {
   productId: string;
   purchaseDate: string | number;
   type: string;
+  environment?: string;
+  // Milliunits of `currency`, e.g. 990 for 0.99.
+  price?: number;
+  currency?: string;
+  storefront?: string;
+  storefrontId?: string;
   appAccountToken?: string;
+  revocationDate?: number;
+  revocationReason?: number;
+  // Auto-renewable subscriptions only.
+  expiresDate?: number;
 }
 
-export async function verifyStoreKitTransaction(jws: string): Promise<StoreKitTransactionPayload> {
-  const { payload } = await compactVerify(jws, async (header) => {
-    const cert = header.x5c?.[0];
-    if (!cert) {
-      throw new Error('StoreKit JWS missing x5c certificate chain');
-    }
-    const pem = formatAsPem(cert);
-    return importX509(pem, header.alg ?? 'ES256');
-  });
+export interface StoreKitRenewalInfo {
+  originalTransactionId: string;
+  autoRenewProductId?: string;
+  productId?: string;
+  autoRenewStatus?: number;
+  isInBillingRetryPeriod?: boolean;
+  gracePeriodExpiresDate?: number;
+  expirationIntent?: number;
+  environment?: string;
+}
 
-  const decoded = JSON.parse(new TextDecoder().decode(payload)) as StoreKitTransactionPayload;
+export interface AppStoreNotificationPayload {
+  notificationType: string;
+  subtype?: string;
+  notificationUUID: string;
+  version?: string;
+  signedDate?: number;
+  data?: {
+    appAppleId?: number;
+    bundleId?: string;
+    bundleVersion?: string;
+    environment?: string;
+    signedTransactionInfo?: string;
+    signedRenewalInfo?: string;
+    consumptionRequestReason?: string;
+  };
+}
+
+export type StoreKitVerificationCode =
+  | 'missing_chain'
+  | 'invalid_chain'
+  | 'untrusted_root'
+  | 'certificate_expired'
+  | 'missing_apple_oid'
+  | 'invalid_signature'
+  | 'malformed_payload'
+  | 'bundle_mismatch'
+  | 'environment_mismatch';
+
+export class StoreKitVerificationError extends Error {
+  constructor(readonly code: StoreKitVerificationCode, message: string) {
+    super(message);
+    this.name = 'StoreKitVerificationError';
+  }
+
+  get failureReason(): string {
+    return `${this.code}: ${this.message}`;
+  }
+}
+
+// SHA-256 fingerprint of "Apple Root CA - G3" from
+// https://www.apple.com/certificateauthority/. APPLE_ROOT_CA_PATH swaps in a
+// locally generated CA for tests; STOREKIT_SIMULATION trusts the simulator's.
+const APPLE_ROOT_CA_G3_FINGERPRINT =
+  '63:34:3A:BF:B8:9A:6A:03:EB:B5:7E:9B:3F:5F:A7:BE:7C:4F:5C:75:6F:30:17:B3:A8:C4:88:C3:65:3E:91:79';
+
+// Marker extensions Apple puts on the WWDR intermediate and on the App Store
+// receipt signing leaf.
+const APPLE_INTERMEDIATE_OID = '1.2.840.113635.100.6.2.1';
+const APPLE_RECEIPT_SIGNING_OID = '1.2.840.113635.100.6.11.1';
+
+let trustedRootFingerprint: string | undefined;
+
+export async function verifyStoreKitTransaction(jws: string): Promise<StoreKitTransactionPayload> {
+  const decoded = await verifyAppleJws<StoreKitTransactionPayload>(jws);
 
   if (!decoded.transactionId || !decoded.productId) {
-    throw new Error('StoreKit JWS missing required fields');
+    throw new StoreKitVerificationError('malformed_payload', 'StoreKit JWS missing required fields');
+  }
+
+  assertExpectedApp(decoded.bundleId, decoded.environment);
+  return decoded;
+}
+
+export async function verifyNotificationPayload(
+  signedPayload: string
+): Promise<AppStoreNotificationPayload> {
+  const decoded = await verifyAppleJws<AppStoreNotificationPayload>(signedPayload);
+
+  if (!decoded.notificationUUID || !decoded.notificationType) {
+    throw new StoreKitVerificationError(
+      'malformed_payload',
+      'App Store notification missing required fields'
+    );
   }
 
+  assertExpectedApp(decoded.data?.bundleId, decoded.data?.environment);
   return decoded;
 }
 
+// Renewal info carries no bundleId; it only ever arrives inside a notification
+// whose bundle has already been checked.
+export async function verifyRenewalInfo(jws: string): Promise<StoreKitRenewalInfo> {
+  const decoded = await verifyAppleJws<StoreKitRenewalInfo>(jws);
+
+  if (!decoded.originalTransactionId) {
+    throw new StoreKitVerificationError('malformed_payload', 'Renewal info missing originalTransactionId');
+  }
+  return decoded;
+}
+
+// Apple signs transactions and server notifications the same way, so both go
+// through one verifier: the x5c chain must lead back to the pinned root before
+// its leaf key is trusted to check the signature.
+async function verifyAppleJws<T>(jws: string): Promise<T> {
+  let result: CompactVerifyResult;
+  try {
+    result = await compactVerify(
+      jws,
+      async (header) => {
+        const leaf = verifyCertificateChain(header.x5c ?? []);
+        return importX509(leaf, 'ES256');
+      },
+      { algorithms: ['ES256'] }
+    );
+  } catch (err) {
+    if (err instanceof StoreKitVerificationError) {
+      throw err;
+    }
+    if (err instanceof errors.JOSEError) {
+      throw new StoreKitVerificationError('invalid_signature', err.message);
+    }
+    throw err;
+  }
+
+  try {
+    return JSON.parse(new TextDecoder().decode(result.payload)) as T;
+  } catch {
+    throw new StoreKitVerificationError('malformed_payload', 'StoreKit JWS payload is not JSON');
+  }
+}
+
+function verifyCertificateChain(x5c: string[]): string {
+  if (x5c.length !== 3) {
+    throw new StoreKitVerificationError(
+      'missing_chain',
+      `Expected leaf, intermediate and root certificates, got ${x5c.length}`
+    );
+  }
+
+  const pems = x5c.map(formatAsPem);
+  let leaf: X509Certificate;
+  let intermediate: X509Certificate;
+  let root: X509Certificate;
+  try {
+    [leaf, intermediate, root] = pems.map((pem) => new X509Certificate(pem));
+  } catch (err) {
+    throw new StoreKitVerificationError('invalid_chain', `Unparseable certificate: ${(err as Error).message}`);
+  }
+
+  if (root.fingerprint256 !== trustedRoot()) {
+    throw new StoreKitVerificationError('untrusted_root', 'Chain does not end at the Apple root CA');
+  }
+
+  const now = Date.now();
+  for (const cert of [leaf, intermediate, root]) {
+    if (now < Date.parse(cert.validFrom) || now > Date.parse(cert.validTo)) {
+      throw new StoreKitVerificationError(
+        'certificate_expired',
+        `Certificate ${cert.subject.replace(/\n/g, ', ')} is outside its validity window`
+      );
+    }
+  }
+
+  if (!isSignedBy(leaf, intermediate) || !isSignedBy(intermediate, root)) {
+    throw new StoreKitVerificationError('invalid_chain', 'Certificate chain signatures do not verify');
+  }
+
+  if (!intermediate.ca || !hasExtension(intermediate, APPLE_INTERMEDIATE_OID)) {
+    throw new StoreKitVerificationError('missing_apple_oid', 'Intermediate is not an Apple WWDR CA');
+  }
+
+  if (!hasExtension(leaf, APPLE_RECEIPT_SIGNING_OID)) {
+    throw new StoreKitVerificationError('missing_apple_oid', 'Leaf is not an App Store signing certificate');
+  }
+
+  return pems[0];
+}
+
+function assertExpectedApp(bundleId: string | undefined, environment: string | undefined) {
+  if (bundleId !== config.appleBundleId) {
+    throw new StoreKitVerificationError(
+      'bundle_mismatch',
+      `Unexpected bundleId ${bundleId ?? 'missing'}`
+    );
+  }
+  if (!environment || !config.appleEnvironments.includes(environment)) {
+    throw new StoreKitVerificationError(
+      'environment_mismatch',
+      `Unexpected environment ${environment ?? 'missing'}`
+    );
+  }
+}
+
+function trustedRoot(): string {
+  if (!trustedRootFingerprint) {
+    if (config.appleRootCaPath) {
+      trustedRootFingerprint = new X509Certificate(readFileSync(config.appleRootCaPath)).fingerprint256;
+    } else if (config.storekitSimulation) {
+      trustedRootFingerprint = simulatorRootFingerprint();
+    } else {
+      trustedRootFingerprint = APPLE_ROOT_CA_G3_FINGERPRINT;
+    }
+  }
+  return trustedRootFingerprint;
+}
+
+function isSignedBy(subject: X509Certificate, issuer: X509Certificate): boolean {
+  return subject.checkIssued(issuer) && subject.verify(issuer.publicKey);
+}
+
+// Node does not expose arbitrary extensions, so look for the DER-encoded OID in
+// the certificate body instead.
+function hasExtension(cert: X509Certificate, oid: string): boolean {
+  return cert.raw.includes(encodeOid(oid));
+}
+
+function encodeOid(oid: string): Buffer {
+  const [first, second, ...rest] = oid.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  for (const arc of rest) {
+    const chunk = [arc & 0x7f];
+    for (let value = arc >>> 7; value > 0; value >>>= 7) {
+      chunk.unshift((value & 0x7f) | 0x80);
+    }
+    bytes.push(...chunk);
+  }
+  return Buffer.from([0x06, bytes.length, ...bytes]);
+}
+
 function formatAsPem(derBase64: string): string {
   const wrapped = derBase64.match(/.{1,64}/g)?.join('\n') ?? derBase64;
   return `-----BEGIN CERTIFICATE-----\n${wrapped}\n-----END CERTIFICATE-----`;
@@ -0,0 +1,355 @@
+import {
+  X509Certificate,
+  createHash,
+  createPrivateKey,
+  generateKeyPairSync,
+  randomBytes,
+  randomInt,
+  sign,
+  type KeyObject
+} from 'node:crypto';
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import { CompactSign } from 'jose';
+import { config } from './config.js';
+import type { StoreKitTransactionPayload } from './storekit.js';
+
+// Stand-in for Apple's signing chain so StoreKit JWS and receipts can be
+// produced offline. Only usable when STOREKIT_SIMULATION is on, which config
+// refuses in production.
+
+type SimulatorCaBundle = {
+  rootPem: string;
+  intermediatePem: string;
+  leafPem: string;
+  leafKeyPem: string;
+};
+
+type SimulatorCa = {
+  x5c: string[];
+  leafKey: KeyObject;
+  rootFingerprint: string;
+};
+
+export type SimulatedTransactionInput = {
+  productId: string;
+  productType?: 'consumable' | 'auto_renewable';
+  transactionId?: string;
+  originalTransactionId?: string;
+  appAccountToken?: string;
+  purchaseDate?: Date;
+  expiresDate?: Date;
+  environment?: 'Production' | 'Sandbox';
+  // Milliunits, as StoreKit reports them.
+  price?: number;
+  currency?: string;
+  storefront?: string;
+};
+
+// Decoded form of a simulated receipt. `statuses` scripts what the stand-in
+// verifyReceipt returns on successive calls; the last entry repeats.
+export type SimulatedReceipt = {
+  environment: 'Production' | 'Sandbox';
+  statuses: number[];
+  inApp: {
+    transaction_id: string;
+    original_transaction_id: string;
+    product_id: string;
+    purchase_date_ms: string;
+    app_account_token?: string;
+  }[];
+};
+
+// Same marker extensions storekit.ts looks for on Apple's chain.
+const APPLE_INTERMEDIATE_OID = '1.2.840.113635.100.6.2.1';
+const APPLE_RECEIPT_SIGNING_OID = '1.2.840.113635.100.6.11.1';
+const ECDSA_WITH_SHA256_OID = '1.2.840.10045.4.3.2';
+const BASIC_CONSTRAINTS_OID = '2.5.29.19';
+const COMMON_NAME_OID = '2.5.4.3';
+const ORGANIZATION_OID = '2.5.4.10';
+
+const BUNDLE_FILE = 'storekit-ca.json';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let ca: SimulatorCa | undefined;
+
+export function assertSimulationEnabled() {
+  if (!config.storekitSimulation) {
+    throw new Error('StoreKit simulation is disabled; set STOREKIT_SIMULATION=true outside production');
+  }
+}
+
+export function simulatorRootFingerprint(): string {
+  return loadCa().rootFingerprint;
+}
+
+export function simulatedTransactionId(): string {
+  // Apple's ids are 16-digit numeric strings.
+  return `2000000${String(randomInt(1e9)).padStart(9, '0')}`;
+}
+
+export async function mintTransactionJws(input: SimulatedTransactionInput): Promise<string> {
+  const purchaseDate = input.purchaseDate ?? new Date();
+  const transactionId = input.transactionId ?? simulatedTransactionId();
+  const payload: StoreKitTransactionPayload & Record<string, unknown> = {
+    transactionId,
+    originalTransactionId: input.originalTransactionId ?? transactionId,
+    bundleId: config.appleBundleId,
+    productId: input.productId,
+    purchaseDate: purchaseDate.getTime(),
+    originalPurchaseDate: purchaseDate.getTime(),
+    quantity: 1,
+    type: input.productType === 'auto_renewable' ? 'Auto-Renewable Subscription' : 'Consumable',
+    inAppOwnershipType: 'PURCHASED',
+    signedDate: Date.now(),
+    environment: input.environment ?? 'Sandbox',
+    transactionReason: 'PURCHASE',
+    storefront: input.storefront ?? 'USA',
+    storefrontId: '143441',
+    price: input.price,
+    currency: input.currency,
+    appAccountToken: input.appAccountToken,
+    expiresDate: input.expiresDate?.getTime()
+  };
+  return signWithLeaf(payload);
+}
+
+// Correctly chained, but signed by a key that does not match the leaf: what a
+// tampered transaction looks like to the verifier.
+export async function mintForgedTransactionJws(input: SimulatedTransactionInput): Promise<string> {
+  const genuine = await mintTransactionJws(input);
+  const { x5c } = loadCa();
+  const { privateKey } = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const payload = Buffer.from(genuine.split('.')[1], 'base64url');
+  return new CompactSign(payload).setProtectedHeader({ alg: 'ES256', x5c }).sign(privateKey);
+}
+
+export function encodeSimulatedReceipt(receipt: SimulatedReceipt): string {
+  return Buffer.from(JSON.stringify({ simulated: true, ...receipt })).toString('base64');
+}
+
+export function decodeSimulatedReceipt(receiptData: string): SimulatedReceipt | null {
+  try {
+    const decoded = JSON.parse(Buffer.from(receiptData, 'base64').toString('utf8'));
+    return decoded?.simulated === true ? (decoded as SimulatedReceipt) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Identifies a receipt across retries so its scripted statuses advance.
+export function receiptFingerprint(receiptData: string): string {
+  return createHash('sha256').update(receiptData).digest('hex');
+}
+
+async function signWithLeaf(payload: Record<string, unknown>): Promise<string> {
+  const { x5c, leafKey } = loadCa();
+  return new CompactSign(new TextEncoder().encode(JSON.stringify(payload)))
+    .setProtectedHeader({ alg: 'ES256', x5c })
+    .sign(leafKey);
+}
+
+// The API mints and the worker verifies, so the chain lives on disk and the
+// first process to need it creates it.
+function loadCa(): SimulatorCa {
+  assertSimulationEnabled();
+  if (ca) {
+    return ca;
+  }
+
+  const file = path.resolve(config.storekitSimulatorDir, BUNDLE_FILE);
+  let bundle: SimulatorCaBundle;
+  try {
+    bundle = JSON.parse(readFileSync(file, 'utf8')) as SimulatorCaBundle;
+  } catch (err) {
+    if ((err as NodeJS.ErrnoException).code !== 'ENOENT') {
+      throw err;
+    }
+    bundle = createCaBundle();
+    mkdirSync(path.dirname(file), { recursive: true });
+    try {
+      writeFileSync(file, JSON.stringify(bundle, null, 2), { flag: 'wx', mode: 0o600 });
+    } catch (writeErr) {
+      // Another process won the race; use its chain so both trust the same root.
+      if ((writeErr as NodeJS.ErrnoException).code !== 'EEXIST') {
+        throw writeErr;
+      }
+      bundle = JSON.parse(readFileSync(file, 'utf8')) as SimulatorCaBundle;
+    }
+  }
+
+  const certificates = [bundle.leafPem, bundle.intermediatePem, bundle.rootPem].map(
+    (pem) => new X509Certificate(pem)
+  );
+  ca = {
+    x5c: certificates.map((cert) => cert.raw.toString('base64')),
+    leafKey: createPrivateKey(bundle.leafKeyPem),
+    rootFingerprint: certificates[2].fingerprint256
+  };
+  return ca;
+}
+
+function createCaBundle(): SimulatorCaBundle {
+  const root = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const intermediate = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const leaf = generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+  const rootName = distinguishedName('MindLock Simulated Root CA');
+  const intermediateName = distinguishedName('MindLock Simulated WWDR CA');
+  const leafName = distinguishedName('MindLock Simulated StoreKit Signing');
+
+  const notBefore = new Date(Date.now() - DAY_MS);
+  const rootPem = issueCertificate({
+    subject: rootName,
+    issuer: rootName,
+    publicKey: root.publicKey,
+    signingKey: root.privateKey,
+    notBefore,
+    notAfter: new Date(notBefore.getTime() + 3650 * DAY_MS),
+    extensions: [basicConstraints(true)]
+  });
+  const intermediatePem = issueCertificate({
+    subject: intermediateName,
+    issuer: rootName,
+    publicKey: intermediate.publicKey,
+    signingKey: root.privateKey,
+    notBefore,
+    notAfter: new Date(notBefore.getTime() + 1825 * DAY_MS),
+    extensions: [basicConstraints(true), markerExtension(APPLE_INTERMEDIATE_OID)]
+  });
+  const leafPem = issueCertificate({
+    subject: leafName,
+    issuer: intermediateName,
+    publicKey: leaf.publicKey,
+    signingKey: intermediate.privateKey,
+    notBefore,
+    notAfter: new Date(notBefore.getTime() + 730 * DAY_MS),
+    extensions: [basicConstraints(false), markerExtension(APPLE_RECEIPT_SIGNING_OID)]
+  });
+
+  return {
+    rootPem,
+    intermediatePem,
+    leafPem,
+    leafKeyPem: leaf.privateKey.export({ type: 'pkcs8', format: 'pem' }).toString()
+  };
+}
+
+// Node can parse but not build certificates, so the few DER structures an
+// X.509 v3 certificate needs are encoded by hand below.
+
+function issueCertificate(options: {
+  subject: Buffer;
+  issuer: Buffer;
+  publicKey: KeyObject;
+  signingKey: KeyObject;
+  notBefore: Date;
+  notAfter: Date;
+  extensions: Buffer[];
+}): string {
+  const signatureAlgorithm = sequence(objectIdentifier(ECDSA_WITH_SHA256_OID));
+  const tbsCertificate = sequence(
+    contextTag(0, integer(Buffer.from([2]))),
+    integer(randomBytes(16)),
+    signatureAlgorithm,
+    options.issuer,
+    sequence(derTime(options.notBefore), derTime(options.notAfter)),
+    options.subject,
+    options.publicKey.export({ type: 'spki', format: 'der' }),
+    contextTag(3, sequence(...options.extensions))
+  );
+  const signature = sign('sha256', tbsCertificate, options.signingKey);
+  const der = sequence(tbsCertificate, signatureAlgorithm, bitString(signature));
+
+  const wrapped = der.toString('base64').match(/.{1,64}/g)!.join('\n');
+  return `-----BEGIN CERTIFICATE-----\n${wrapped}\n-----END CERTIFICATE-----\n`;
+}
+
+function distinguishedName(commonName: string): Buffer {
+  return sequence(
+    set(sequence(objectIdentifier(ORGANIZATION_OID), utf8String('MindLock Simulator'))),
+    set(sequence(objectIdentifier(COMMON_NAME_OID), utf8String(commonName)))
+  );
+}
+
+function basicConstraints(isCa: boolean): Buffer {
+  return sequence(
+    objectIdentifier(BASIC_CONSTRAINTS_OID),
+    boolean(true),
+    octetString(isCa ? sequence(boolean(true)) : sequence())
+  );
+}
+
+function markerExtension(oid: string): Buffer {
+  return sequence(objectIdentifier(oid), octetString(derValue(0x05)));
+}
+
+function derValue(tag: number, ...contents: Buffer[]): Buffer {
+  const body = Buffer.concat(contents);
+  return Buffer.concat([Buffer.from([tag]), derLength(body.length), body]);
+}
+
+function derLength(length: number): Buffer {
+  if (length < 0x80) {
+    return Buffer.from([length]);
+  }
+  const bytes: number[] = [];
+  for (let value = length; value > 0; value >>>= 8) {
+    bytes.unshift(value & 0xff);
+  }
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+}
+
+function sequence(...contents: Buffer[]): Buffer {
+  return derValue(0x30, ...contents);
+}
+
+function set(...contents: Buffer[]): Buffer {
+  return derValue(0x31, ...contents);
+}
+
+function contextTag(index: number, content: Buffer): Buffer {
+  return derValue(0xa0 + index, content);
+}
+
+function integer(value: Buffer): Buffer {
+  // Positive integers must not have the sign bit set.
+  return derValue(0x02, value[0] & 0x80 ? Buffer.concat([Buffer.from([0]), value]) : value);
+}
+
+function boolean(value: boolean): Buffer {
+  return derValue(0x01, Buffer.from([value ? 0xff : 0x00]));
+}
+
+function octetString(value: Buffer): Buffer {
+  return derValue(0x04, value);
+}
+
+function bitString(value: Buffer): Buffer {
+  return derValue(0x03, Buffer.from([0]), value);
+}
+
+function utf8String(value: string): Buffer {
+  return derValue(0x0c, Buffer.from(value, 'utf8'));
+}
+
+function objectIdentifier(oid: string): Buffer {
+  const [first, second, ...rest] = oid.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  for (const arc of rest) {
+    const chunk = [arc & 0x7f];
+    for (let value = arc >>> 7; value > 0; value >>>= 7) {
+      chunk.unshift((value & 0x7f) | 0x80);
+    }
+    bytes.push(...chunk);
+  }
+  return derValue(0x06, Buffer.from(bytes));
+}
+
+// UTCTime until 2050, GeneralizedTime after, as RFC 5280 requires.
+function derTime(date: Date): Buffer {
+  const stamp = date.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  return date.getUTCFullYear() < 2050
+    ? derValue(0x17, Buffer.from(`${stamp.slice(2)}Z`))
+    : derValue(0x18, Buffer.from(`${stamp}Z`));
+}
@@ -0,0 +1,95 @@
+import { prisma } from './prisma.js';
+import { config } from './config.js';
+import { localDay, shiftDay } from './localTime.js';
+
+// Earned once and kept, even if the streak that earned them later breaks.
+export const BADGES = [
+  { id: 'first_goal', longestStreak: 1 },
+  { id: 'streak_3', longestStreak: 3 },
+  { id: 'streak_7', longestStreak: 7 },
+  { id: 'streak_30', longestStreak: 30 },
+  { id: 'streak_100', longestStreak: 100 },
+  { id: 'streak_365', longestStreak: 365 }
+] as const;
+
+export interface StreakSummary {
+  timezone: string;
+  today: string;
+  currentStreak: number;
+  longestStreak: number;
+  // Days that met the goal but were broken by a day pass.
+  dayPassBreaks: string[];
+}
+
+// A day counts towards a streak when the app reported the goal met and, if
+// STREAK_DAY_PASS_BREAKS is on, no day pass was bought that local day. Today
+// is still in progress, so a streak that ran through yesterday stays current
+// until today's result says otherwise.
+export async function computeStreaks(userId: string, now = new Date()): Promise<StreakSummary> {
+  const user = await prisma.user.findUniqueOrThrow({
+    where: { id: userId },
+    select: { timezone: true }
+  });
+  const timezone = user.timezone;
+  const today = localDay(now, timezone);
+
+  const [results, dayPasses] = await Promise.all([
+    prisma.dailyResult.findMany({
+      where: { userId },
+      select: { day: true, goalMet: true },
+      orderBy: { day: 'asc' }
+    }),
+    config.streakDayPassBreaks
+      ? prisma.purchase.findMany({
+          where: { userId, status: 'completed', product: { type: 'consumable' } },
+          select: { createdAt: true, completedAt: true }
+        })
+      : Promise.resolve([])
+  ]);
+
+  const brokenDays = new Set(
+    dayPasses.map((purchase) => localDay(purchase.completedAt ?? purchase.createdAt, timezone))
+  );
+  const metDays = new Set<string>();
+  const dayPassBreaks: string[] = [];
+  for (const result of results) {
+    if (!result.goalMet) {
+      continue;
+    }
+    if (brokenDays.has(result.day)) {
+      dayPassBreaks.push(result.day);
+      continue;
+    }
+    metDays.add(result.day);
+  }
+
+  let longestStreak = 0;
+  let run = 0;
+  let previous: string | undefined;
+  for (const day of [...metDays].sort()) {
+    run = previous && shiftDay(previous, 1) === day ? run + 1 : 1;
+    longestStreak = Math.max(longestStreak, run);
+    previous = day;
+  }
+
+  const todayBroken = brokenDays.has(today) || results.some((r) => r.day === today && !r.goalMet);
+  let cursor = metDays.has(today) || todayBroken ? today : shiftDay(today, -1);
+  let currentStreak = 0;
+  while (metDays.has(cursor)) {
+    currentStreak += 1;
+    cursor = shiftDay(cursor, -1);
+  }
+
+  return { timezone, today, currentStreak, longestStreak, dayPassBreaks };
+}
+
+export async function awardBadges(userId: string, summary: StreakSummary) {
+  const earned = BADGES.filter((badge) => summary.longestStreak >= badge.longestStreak);
+  if (earned.length === 0) {
+    return;
+  }
+  await prisma.userBadge.createMany({
+    data: earned.map((badge) => ({ userId, badge: badge.id })),
+    skipDuplicates: true
+  });
+}
@@ -0,0 +1,116 @@
+import type { Prisma, Subscription, SubscriptionStatus } from '@prisma/client';
+import { prisma } from './prisma.js';
+import type { StoreKitRenewalInfo, StoreKitTransactionPayload } from './storekit.js';
+
+type StatusInputs = Pick<Subscription, 'expiresAt' | 'revokedAt' | 'inBillingRetry' | 'gracePeriodExpiresAt'>;
+
+// Apple keeps access during the grace period but not during the rest of billing
+// retry, so only `active` and `grace_period` are entitled.
+export function deriveSubscriptionStatus(subscription: StatusInputs, now = new Date()): SubscriptionStatus {
+  if (subscription.revokedAt) {
+    return 'revoked';
+  }
+  if (subscription.expiresAt > now) {
+    return 'active';
+  }
+  if (subscription.gracePeriodExpiresAt && subscription.gracePeriodExpiresAt > now) {
+    return 'grace_period';
+  }
+  return subscription.inBillingRetry ? 'billing_retry' : 'expired';
+}
+
+export function isEntitled(subscription: StatusInputs, now = new Date()): boolean {
+  const status = deriveSubscriptionStatus(subscription, now);
+  return status === 'active' || status === 'grace_period';
+}
+
+// Notifications can arrive out of order, so an older transaction never moves
+// the expiry backwards. Pass `client` to run inside a caller's transaction.
+export async function recordSubscriptionTransaction(
+  owner: { userId: string; charityId: string },
+  transaction: StoreKitTransactionPayload,
+  client?: Prisma.TransactionClient
+): Promise<Subscription> {
+  if (!transaction.expiresDate) {
+    throw new Error(`Transaction ${transaction.transactionId} is not a subscription transaction`);
+  }
+  const expiresAt = new Date(transaction.expiresDate);
+  const revokedAt = transaction.revocationDate ? new Date(transaction.revocationDate) : null;
+
+  const record = async (tx: Prisma.TransactionClient) => {
+    const existing = await tx.subscription.findUnique({
+      where: { originalTransactionId: transaction.originalTransactionId }
+    });
+
+    if (!existing) {
+      const fields = {
+        expiresAt,
+        revokedAt,
+        inBillingRetry: false,
+        gracePeriodExpiresAt: null
+      };
+      return tx.subscription.create({
+        data: {
+          ...owner,
+          originalTransactionId: transaction.originalTransactionId,
+          productId: transaction.productId,
+          latestTransactionId: transaction.transactionId,
+          environment: transaction.environment ?? null,
+          status: deriveSubscriptionStatus(fields),
+          ...fields
+        }
+      });
+    }
+
+    const isLatest =
+      existing.latestTransactionId === transaction.transactionId || expiresAt >= existing.expiresAt;
+    if (!isLatest) {
+      return existing;
+    }
+
+    const fields = {
+      expiresAt,
+      revokedAt,
+      // A newer paid period means billing recovered.
+      inBillingRetry: expiresAt > existing.expiresAt ? false : existing.inBillingRetry,
+      gracePeriodExpiresAt: expiresAt > existing.expiresAt ? null : existing.gracePeriodExpiresAt
+    };
+    return tx.subscription.update({
+      where: { id: existing.id },
+      data: {
+        productId: transaction.productId,
+        latestTransactionId: transaction.transactionId,
+        status: deriveSubscriptionStatus(fields),
+        ...fields
+      }
+    });
+  };
+  return client ? record(client) : prisma.$transaction(record);
+}
+
+export async function applyRenewalInfo(renewal: StoreKitRenewalInfo): Promise<Subscription | null> {
+  return prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+    const existing = await tx.subscription.findUnique({
+      where: { originalTransactionId: renewal.originalTransactionId }
+    });
+    if (!existing) {
+      return null;
+    }
+
+    const fields = {
+      expiresAt: existing.expiresAt,
+      revokedAt: existing.revokedAt,
+      inBillingRetry: renewal.isInBillingRetryPeriod ?? false,
+      gracePeriodExpiresAt: renewal.gracePeriodExpiresDate ? new Date(renewal.gracePeriodExpiresDate) : null
+    };
+    return tx.subscription.update({
+      where: { id: existing.id },
+      data: {
+        autoRenew: renewal.autoRenewStatus === undefined ? existing.autoRenew : renewal.autoRenewStatus === 1,
+        autoRenewProductId: renewal.autoRenewProductId ?? existing.autoRenewProductId,
+        status: deriveSubscriptionStatus(fields),
+        ...fields
+      }
+    });
+  });
+}
@@ -0,0 +1,52 @@
+import { SignJWT } from 'jose';
+import type { Prisma, Purchase, UnlockGrant } from '@prisma/client';
+import { config } from './config.js';
+import { nextLocalMidnight } from './localTime.js';
+
+const ISSUER = 'mindlock-api';
+const AUDIENCE = 'mindlock-unlock';
+
+const secret = new TextEncoder().encode(config.deviceTokenSecret);
+
+// Grants are tied to the purchase's own day: re-issuing one (e.g. after a
+// force-complete) never extends an unlock past the midnight it was bought for.
+export async function issueUnlockGrant(
+  tx: Prisma.TransactionClient,
+  purchase: Pick<Purchase, 'id' | 'userId' | 'createdAt'>
+): Promise<UnlockGrant> {
+  const { timezone } = await tx.user.findUniqueOrThrow({
+    where: { id: purchase.userId },
+    select: { timezone: true }
+  });
+  const expiresAt = nextLocalMidnight(purchase.createdAt, timezone);
+  return tx.unlockGrant.upsert({
+    where: { purchaseId: purchase.id },
+    create: { userId: purchase.userId, purchaseId: purchase.id, timezone, expiresAt },
+    update: { revokedAt: null, revokeReason: null }
+  });
+}
+
+export async function revokeUnlockGrant(
+  tx: Prisma.TransactionClient,
+  purchaseId: string,
+  reason: string
+) {
+  await tx.unlockGrant.updateMany({
+    where: { purchaseId, revokedAt: null },
+    data: { revokedAt: new Date(), revokeReason: reason }
+  });
+}
+
+// The app keeps this to show the unlock across restarts; the API remains the
+// authority, so a revoked grant simply stops being returned.
+export async function signUnlockGrant(grant: UnlockGrant): Promise<string> {
+  return new SignJWT({ pid: grant.purchaseId })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setIssuer(ISSUER)
+    .setAudience(AUDIENCE)
+    .setSubject(grant.userId)
+    .setJti(grant.id)
+    .setIssuedAt()
+    .setExpirationTime(grant.expiresAt)
+    .sign(secret);
+}
@@ -1,6 +1,11 @@
 import type { NextFunction, Request, Response } from 'express';
 import rateLimit from 'express-rate-limit';
 import { config } from '../lib/config.js';
+import { prisma } from '../lib/prisma.js';
+import { verifyDeviceToken, type DeviceTokenClaims } from '../lib/deviceTokens.js';
+import { authenticateAdmin, type AdminScope } from '../lib/adminKeys.js';
+import { recordAdminAction, recordAdminOutcome } from '../lib/audit.js';
+import { isAuthorizedScrape } from '../lib/metrics.js';
 
 function unauthorized(res: Response, message = 'Unauthorized') {
   return res.status(401).json({ error: message });
@@ -14,14 +19,86 @@ export function requireAppKey(req: Request, res: Response, next: NextFunction) {
   return next();
 }
 
-export function requireAdminKey(req: Request, res: Response, next: NextFunction) {
-  const header = req.get('x-admin-key');
-  if (header !== config.adminApiKey) {
+export function requireMetricsToken(req: Request, res: Response, next: NextFunction) {
+  if (!isAuthorizedScrape(req.get('authorization'))) {
     return unauthorized(res);
   }
   return next();
 }
 
+// Authenticates a registered install from its bearer token and binds the
+// request to that install's user via res.locals.userId / res.locals.deviceId.
+export async function requireDevice(req: Request, res: Response, next: NextFunction) {
+  const header = req.get('authorization');
+  const token = header?.startsWith('Bearer ') ? header.slice('Bearer '.length) : undefined;
+  if (!token) {
+    return unauthorized(res);
+  }
+
+  let claims: DeviceTokenClaims;
+  try {
+    claims = await verifyDeviceToken(token);
+  } catch {
+    return unauthorized(res);
+  }
+
+  try {
+    const device = await prisma.deviceCredential.findUnique({ where: { id: claims.deviceId } });
+    if (
+      !device ||
+      device.revokedAt ||
+      device.userId !== claims.userId ||
+      device.tokenVersion !== claims.tokenVersion
+    ) {
+      return unauthorized(res);
+    }
+    res.locals.userId = device.userId;
+    res.locals.deviceId = device.id;
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// Admin routes name the scope they need. Mutations are written to the audit
+// log before they run, and the status code is added when the response closes.
+// Browser pages also take the key as the HTTP Basic password and prompt for it.
+export function requireAdmin(scope: AdminScope, options: { browser?: boolean } = {}) {
+  return async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const actor = await authenticateAdmin(req.get('x-admin-key') ?? basicAuthPassword(req));
+      if (!actor) {
+        if (options.browser) {
+          res.setHeader('WWW-Authenticate', 'Basic realm="MindLock admin", charset="UTF-8"');
+        }
+        return unauthorized(res);
+      }
+      if (!actor.scopes.includes(scope)) {
+        return res.status(403).json({ error: `Admin key lacks scope ${scope}` });
+      }
+      res.locals.admin = actor;
+      if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+        const entryId = await recordAdminAction(req, actor, scope);
+        // `close` also fires when the client disconnects, unlike `finish`.
+        res.on('close', () => recordAdminOutcome(entryId, res.writableFinished ? res.statusCode : null));
+      }
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+function basicAuthPassword(req: Request): string | undefined {
+  const header = req.get('authorization');
+  if (!header?.startsWith('Basic ')) {
+    return undefined;
+  }
+  const decoded = Buffer.from(header.slice('Basic '.length), 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  return separator === -1 ? undefined : decoded.slice(separator + 1);
+}
+
 export function enforceHttps(req: Request, res: Response, next: NextFunction) {
   if (config.nodeEnv === 'production') {
     const proto = req.get('x-forwarded-proto');
@@ -39,3 +116,11 @@ export const purchasesRateLimiter = rateLimit({
   legacyHeaders: false,
   message: { error: 'Too many purchase attempts, slow down.' }
 });
+
+export const publicRateLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  limit: 120,
+  standardHeaders: 'draft-7',
+  legacyHeaders: false,
+  message: { error: 'Too many requests, slow down.' }
+});
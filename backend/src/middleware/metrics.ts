@@ -0,0 +1,28 @@
+import type { NextFunction, Request, Response } from 'express';
+import { httpRequestDuration } from '../lib/metrics.js';
+
+// Labels by route template (`/v1/users/:userId/streak`), not the raw path, so
+// ids do not blow up the series count.
+export function recordHttpMetrics(req: Request, res: Response, next: NextFunction) {
+  const stopTimer = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    stopTimer({ method: req.method, route: routeTemplate(req), status: String(res.statusCode) });
+  });
+  next();
+}
+
+function routeTemplate(req: Request): string {
+  const routePath: unknown = req.route?.path;
+  if (typeof routePath !== 'string') {
+    return 'unmatched';
+  }
+  if (req.baseUrl) {
+    return `${req.baseUrl}${routePath}`;
+  }
+  // Express resets baseUrl once next(err) leaves a router, so rebuild the
+  // mount path from the URL: whatever precedes the segments the route matched.
+  const segments = req.originalUrl.split('?')[0].split('/').filter(Boolean);
+  const routeSegments = routePath.split('/').filter(Boolean);
+  const mount = segments.slice(0, segments.length - routeSegments.length);
+  return `/${[...mount, ...routeSegments].join('/')}`;
+}
@@ -0,0 +1,36 @@
+import { randomUUID } from 'node:crypto';
+import type { NextFunction, Request, Response } from 'express';
+import { createLogger, runWithLogContext } from '../lib/logger.js';
+
+const logger = createLogger('http');
+
+// Accept an upstream id (e.g. from the load balancer) only if it looks like one.
+const REQUEST_ID_PATTERN = /^[\w.-]{8,128}$/;
+
+export function requestContext(req: Request, res: Response, next: NextFunction) {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  res.locals.requestId = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    runWithLogContext({ requestId }, () => {
+      const fields = {
+        method: req.method,
+        // Path only: query strings can carry admin filters such as user ids.
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+        ip: req.ip
+      };
+      if (res.statusCode >= 500) {
+        logger.error('Request failed', fields);
+      } else {
+        logger.info('Request completed', fields);
+      }
+    });
+  });
+
+  runWithLogContext({ requestId }, next);
+}
@@ -0,0 +1,157 @@
+import { Router } from 'express';
+import { Prisma } from '@prisma/client';
+import { z } from 'zod';
+import { prisma } from '../lib/prisma.js';
+import { ADMIN_SCOPES, generateAdminKey } from '../lib/adminKeys.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const createKeySchema = z.object({
+  name: z.string().min(1).max(100),
+  scopes: z.array(z.enum(ADMIN_SCOPES)).min(1),
+  expiresAt: z.coerce.date().optional()
+});
+
+const rotateKeySchema = z.object({
+  // How long the old key keeps working so callers can switch over.
+  graceHours: z.number().min(0).max(24 * 30).default(24)
+});
+
+const auditQuerySchema = z.object({
+  keyId: z.string().min(1).optional(),
+  actor: z.string().min(1).optional(),
+  since: z.coerce.date().optional(),
+  until: z.coerce.date().optional(),
+  cursor: z.string().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(200).default(50)
+});
+
+const keySelect = {
+  id: true,
+  name: true,
+  prefix: true,
+  scopes: true,
+  createdAt: true,
+  expiresAt: true,
+  revokedAt: true,
+  lastUsedAt: true,
+  replacedById: true
+} satisfies Prisma.AdminApiKeySelect;
+
+export const adminRouter = Router();
+
+adminRouter.get('/keys', requireAdmin('keys:manage'), async (_req, res, next) => {
+  try {
+    const keys = await prisma.adminApiKey.findMany({
+      select: keySelect,
+      orderBy: { createdAt: 'desc' }
+    });
+    res.json({ keys });
+  } catch (err) {
+    next(err);
+  }
+});
+
+adminRouter.post('/keys', requireAdmin('keys:manage'), async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt } = createKeySchema.parse(req.body);
+    const { key, prefix, secretHash } = generateAdminKey();
+    const record = await prisma.adminApiKey.create({
+      data: { name, scopes, expiresAt: expiresAt ?? null, prefix, secretHash },
+      select: keySelect
+    });
+    res.status(201).json({ ...record, key });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+// Issues a replacement with the same name and scopes, and shortens the old
+// key's life to the grace period so both work while callers switch over.
+adminRouter.post('/keys/:id/rotate', requireAdmin('keys:manage'), async (req, res, next) => {
+  try {
+    const { graceHours } = rotateKeySchema.parse(req.body ?? {});
+    const existing = await prisma.adminApiKey.findUnique({ where: { id: req.params.id } });
+    if (!existing || existing.revokedAt) {
+      res.status(404).json({ error: 'Admin key not found' });
+      return;
+    }
+
+    const graceEndsAt = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+    const oldExpiresAt =
+      existing.expiresAt && existing.expiresAt < graceEndsAt ? existing.expiresAt : graceEndsAt;
+    const { key, prefix, secretHash } = generateAdminKey();
+
+    const replacement = await prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+      const created = await tx.adminApiKey.create({
+        data: {
+          name: existing.name,
+          scopes: existing.scopes,
+          expiresAt: existing.expiresAt,
+          prefix,
+          secretHash
+        },
+        select: keySelect
+      });
+      await tx.adminApiKey.update({
+        where: { id: existing.id },
+        data: { expiresAt: oldExpiresAt, replacedById: created.id }
+      });
+      return created;
+    });
+
+    res.status(201).json({ ...replacement, key, previousKeyExpiresAt: oldExpiresAt });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+adminRouter.delete('/keys/:id', requireAdmin('keys:manage'), async (req, res, next) => {
+  try {
+    const revoked = await prisma.adminApiKey.updateMany({
+      where: { id: req.params.id, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+    if (revoked.count === 0) {
+      res.status(404).json({ error: 'Admin key not found' });
+      return;
+    }
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+adminRouter.get('/audit-log', requireAdmin('audit:read'), async (req, res, next) => {
+  try {
+    const { keyId, actor, since, until, cursor, limit } = auditQuerySchema.parse(req.query);
+    const entries = await prisma.adminAuditLog.findMany({
+      where: {
+        ...(keyId ? { keyId } : {}),
+        ...(actor ? { actor } : {}),
+        ...(since || until ? { at: { gte: since, lt: until } } : {})
+      },
+      orderBy: [{ at: 'desc' }, { id: 'desc' }],
+      take: limit + 1,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+    });
+    const page = entries.slice(0, limit);
+    res.json({
+      entries: page,
+      nextCursor: entries.length > limit ? page[page.length - 1].id : null
+    });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
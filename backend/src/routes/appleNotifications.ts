@@ -0,0 +1,251 @@
+import { Router } from 'express';
+import { Prisma } from '@prisma/client';
+import { z } from 'zod';
+import { prisma } from '../lib/prisma.js';
+import { refundPurchase } from '../lib/refunds.js';
+import {
+  StoreKitVerificationError,
+  verifyNotificationPayload,
+  verifyRenewalInfo,
+  verifyStoreKitTransaction,
+  type AppStoreNotificationPayload,
+  type StoreKitRenewalInfo,
+  type StoreKitTransactionPayload
+} from '../lib/storekit.js';
+import { applyRenewalInfo, recordSubscriptionTransaction } from '../lib/subscriptions.js';
+import { computeSplit, purchaseRates } from '../lib/pricing.js';
+import { validationJob } from '../lib/purchaseStatus.js';
+import { addToOutbox, dispatchOutboxMessage } from '../lib/outbox.js';
+import { createLogger } from '../lib/logger.js';
+import { purchasesCreated } from '../lib/metrics.js';
+
+const logger = createLogger('apple-notifications');
+
+const notificationSchema = z.object({
+  signedPayload: z.string().min(10)
+});
+
+type NotificationOutcome =
+  | 'refunded'
+  | 'already_refunded'
+  | 'refunded_before_validation'
+  | 'consumption_requested'
+  | 'subscription_updated'
+  | 'renewal_recorded'
+  | 'unmatched'
+  | 'ignored';
+
+// Everything that can move a subscription's expiry, renewal or billing state.
+const SUBSCRIPTION_NOTIFICATIONS = new Set([
+  'SUBSCRIBED',
+  'DID_RENEW',
+  'DID_FAIL_TO_RENEW',
+  'DID_CHANGE_RENEWAL_STATUS',
+  'DID_CHANGE_RENEWAL_PREF',
+  'EXPIRED',
+  'GRACE_PERIOD_EXPIRED',
+  'RENEWAL_EXTENDED'
+]);
+
+export const appleNotificationsRouter = Router();
+
+// Apple retries any non-2xx response, so only signature failures are rejected;
+// everything that verifies is acknowledged once it has been recorded.
+appleNotificationsRouter.post('/notifications', async (req, res, next) => {
+  try {
+    const { signedPayload } = notificationSchema.parse(req.body);
+
+    let notification: AppStoreNotificationPayload;
+    let transaction: StoreKitTransactionPayload | undefined;
+    let renewal: StoreKitRenewalInfo | undefined;
+    try {
+      notification = await verifyNotificationPayload(signedPayload);
+      const signedTransaction = notification.data?.signedTransactionInfo;
+      transaction = signedTransaction ? await verifyStoreKitTransaction(signedTransaction) : undefined;
+      const signedRenewal = notification.data?.signedRenewalInfo;
+      renewal = signedRenewal ? await verifyRenewalInfo(signedRenewal) : undefined;
+    } catch (err) {
+      if (!(err instanceof StoreKitVerificationError)) {
+        throw err;
+      }
+      logger.warn('Rejected notification', err.failureReason);
+      res.status(401).json({ error: 'Invalid signed payload', reason: err.code });
+      return;
+    }
+
+    const record = await prisma.appleNotification.upsert({
+      where: { notificationUUID: notification.notificationUUID },
+      create: {
+        notificationUUID: notification.notificationUUID,
+        notificationType: notification.notificationType,
+        subtype: notification.subtype ?? null,
+        transactionId: transaction?.transactionId ?? null,
+        environment: notification.data?.environment ?? null,
+        signedDate: notification.signedDate ? new Date(notification.signedDate) : null,
+        payload: notification as unknown as Prisma.InputJsonValue
+      },
+      update: {}
+    });
+
+    if (record.processedAt) {
+      logger.info('Replayed notification ignored', {
+        notificationUUID: record.notificationUUID,
+        outcome: record.outcome
+      });
+      res.json({ ok: true, outcome: record.outcome, duplicate: true });
+      return;
+    }
+
+    const { outcome, purchaseId } = await handleNotification(notification, transaction, renewal);
+
+    await prisma.appleNotification.update({
+      where: { id: record.id },
+      data: { processedAt: new Date(), outcome, purchaseId: purchaseId ?? null }
+    });
+
+    logger.info('Processed notification', {
+      notificationUUID: notification.notificationUUID,
+      notificationType: notification.notificationType,
+      purchaseId,
+      outcome
+    });
+
+    res.json({ ok: true, outcome });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+async function handleNotification(
+  notification: AppStoreNotificationPayload,
+  transaction: StoreKitTransactionPayload | undefined,
+  renewal: StoreKitRenewalInfo | undefined
+): Promise<{ outcome: NotificationOutcome; purchaseId?: string }> {
+  if (SUBSCRIPTION_NOTIFICATIONS.has(notification.notificationType)) {
+    return handleSubscriptionNotification(notification, transaction, renewal);
+  }
+
+  const handled = ['REFUND', 'REVOKE', 'CONSUMPTION_REQUEST'];
+  if (!handled.includes(notification.notificationType)) {
+    return { outcome: 'ignored' };
+  }
+
+  if (!transaction) {
+    return { outcome: 'unmatched' };
+  }
+
+  const purchase = await prisma.purchase.findUnique({
+    where: { appleTransactionId: transaction.transactionId }
+  });
+
+  if (!purchase) {
+    return { outcome: 'unmatched' };
+  }
+
+  if (notification.notificationType === 'CONSUMPTION_REQUEST') {
+    // Apple wants consumption details within 12 hours; the record above is
+    // what support works from until we answer through the Server API.
+    return { outcome: 'consumption_requested', purchaseId: purchase.id };
+  }
+
+  const refundedAt = transaction.revocationDate ? new Date(transaction.revocationDate) : new Date();
+  const reason = [notification.notificationType, notification.subtype].filter(Boolean).join(':');
+  const outcome = await refundPurchase(purchase.id, reason, refundedAt);
+
+  // A refunded subscription period also ends access if it is the current one.
+  const subscription = transaction.expiresDate
+    ? await prisma.subscription.findUnique({
+        where: { originalTransactionId: transaction.originalTransactionId }
+      })
+    : null;
+  if (subscription) {
+    await recordSubscriptionTransaction(subscription, transaction);
+  }
+  return { outcome, purchaseId: purchase.id };
+}
+
+// The first period of a subscription reaches us through POST /v1/purchases,
+// which ties it to a user and charity; later notifications for the same
+// originalTransactionId inherit both from there.
+async function handleSubscriptionNotification(
+  notification: AppStoreNotificationPayload,
+  transaction: StoreKitTransactionPayload | undefined,
+  renewal: StoreKitRenewalInfo | undefined
+): Promise<{ outcome: NotificationOutcome; purchaseId?: string }> {
+  const originalTransactionId = transaction?.originalTransactionId ?? renewal?.originalTransactionId;
+  if (!originalTransactionId) {
+    return { outcome: 'unmatched' };
+  }
+
+  const owner =
+    (await prisma.subscription.findUnique({ where: { originalTransactionId } })) ??
+    (await prisma.purchase.findUnique({ where: { appleTransactionId: originalTransactionId } }));
+  if (!owner) {
+    return { outcome: 'unmatched' };
+  }
+
+  let renewalPurchaseId: string | undefined;
+  if (transaction?.expiresDate) {
+    if (notification.notificationType === 'DID_RENEW') {
+      renewalPurchaseId = await recordRenewalPurchase(owner, transaction, notification);
+    }
+    await recordSubscriptionTransaction(owner, transaction);
+  }
+  if (renewal) {
+    await applyRenewalInfo(renewal);
+  }
+
+  return renewalPurchaseId
+    ? { outcome: 'renewal_recorded', purchaseId: renewalPurchaseId }
+    : { outcome: 'subscription_updated' };
+}
+
+// Each renewal is revenue like any other purchase, so it is stored and
+// validated the same way and ends up in the monthly report.
+async function recordRenewalPurchase(
+  owner: { userId: string; charityId: string },
+  transaction: StoreKitTransactionPayload,
+  notification: AppStoreNotificationPayload
+): Promise<string | undefined> {
+  const existing = await prisma.purchase.findUnique({
+    where: { appleTransactionId: transaction.transactionId }
+  });
+  if (existing) {
+    return existing.id;
+  }
+
+  const product = await prisma.product.findUnique({ where: { id: transaction.productId } });
+  if (!product) {
+    logger.error('Renewal for product missing from catalog', { productId: transaction.productId });
+    return undefined;
+  }
+
+  try {
+    const { purchase, message } = await prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+      const record = await tx.purchase.create({
+        data: {
+          userId: owner.userId,
+          charityId: owner.charityId,
+          productId: product.id,
+          appleTransactionId: transaction.transactionId,
+          transactionJws: notification.data!.signedTransactionInfo!,
+          ...computeSplit(purchaseRates(product))
+        }
+      });
+      return { purchase: record, message: await addToOutbox(tx, validationJob(record.id)) };
+    });
+    purchasesCreated.inc({ product: product.id, source: 'renewal' });
+    await dispatchOutboxMessage(message);
+    return purchase.id;
+  } catch (err) {
+    // Apple may deliver the same renewal twice at once.
+    if (err instanceof Prisma.PrismaClientKnownRequestError && err.code === 'P2002') {
+      return undefined;
+    }
+    throw err;
+  }
+}
@@ -0,0 +1,107 @@
+import { Router } from 'express';
+import { Prisma } from '@prisma/client';
+import { z } from 'zod';
+import { prisma } from '../lib/prisma.js';
+import { requireAdmin, requireAppKey } from '../middleware/auth.js';
+
+const createCharitySchema = z.object({
+  id: z.string().regex(/^[a-z0-9-]+$/, 'Charity id must be a lowercase slug'),
+  name: z.string().min(1),
+  description: z.string().min(1),
+  logoKey: z.string().min(1).nullable().optional(),
+  registrationNumber: z.string().min(1).nullable().optional(),
+  isActive: z.boolean().optional()
+});
+
+const updateCharitySchema = createCharitySchema.omit({ id: true }).partial();
+
+export const charitiesRouter = Router();
+
+// What the app shows in the charity picker.
+charitiesRouter.get('/', requireAppKey, async (_req, res, next) => {
+  try {
+    const charities = await prisma.charity.findMany({
+      where: { isActive: true },
+      select: { id: true, name: true, description: true, logoKey: true },
+      orderBy: { name: 'asc' }
+    });
+    res.json({ charities });
+  } catch (err) {
+    next(err);
+  }
+});
+
+charitiesRouter.get('/all', requireAdmin('charities:read'), async (_req, res, next) => {
+  try {
+    const charities = await prisma.charity.findMany({ orderBy: { name: 'asc' } });
+    res.json({ charities });
+  } catch (err) {
+    next(err);
+  }
+});
+
+charitiesRouter.get('/:id', requireAdmin('charities:read'), async (req, res, next) => {
+  try {
+    const charity = await prisma.charity.findUnique({ where: { id: req.params.id } });
+    if (!charity) {
+      res.status(404).json({ error: 'Charity not found' });
+      return;
+    }
+    res.json(charity);
+  } catch (err) {
+    next(err);
+  }
+});
+
+charitiesRouter.post('/', requireAdmin('charities:write'), async (req, res, next) => {
+  try {
+    const data = createCharitySchema.parse(req.body);
+    const charity = await prisma.charity.create({ data });
+    res.status(201).json(charity);
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    if (err instanceof Prisma.PrismaClientKnownRequestError && err.code === 'P2002') {
+      res.status(409).json({ error: 'Charity already exists' });
+      return;
+    }
+    next(err);
+  }
+});
+
+charitiesRouter.patch('/:id', requireAdmin('charities:write'), async (req, res, next) => {
+  try {
+    const data = updateCharitySchema.parse(req.body);
+    const charity = await prisma.charity.update({ where: { id: req.params.id }, data });
+    res.json(charity);
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    if (err instanceof Prisma.PrismaClientKnownRequestError && err.code === 'P2025') {
+      res.status(404).json({ error: 'Charity not found' });
+      return;
+    }
+    next(err);
+  }
+});
+
+// Purchases and donations reference charities, so removal only deactivates.
+charitiesRouter.delete('/:id', requireAdmin('charities:write'), async (req, res, next) => {
+  try {
+    const charity = await prisma.charity.update({
+      where: { id: req.params.id },
+      data: { isActive: false }
+    });
+    res.json(charity);
+  } catch (err) {
+    if (err instanceof Prisma.PrismaClientKnownRequestError && err.code === 'P2025') {
+      res.status(404).json({ error: 'Charity not found' });
+      return;
+    }
+    next(err);
+  }
+});
@@ -1,10 +1,10 @@
 import { Router } from 'express';
-import { requireAdminKey } from '../middleware/auth.js';
+import { requireAdmin } from '../middleware/auth.js';
 import { validateReceiptQueue, reportQueue } from '../lib/queues.js';
 
 export const debugRouter = Router();
 
-debugRouter.get('/debug/queues', requireAdminKey, async (_req, res, next) => {
+debugRouter.get('/debug/queues', requireAdmin('queues:read'), async (_req, res, next) => {
   try {
     const [vr, rep] = await Promise.all([
       validateReceiptQueue.getJobCounts(),
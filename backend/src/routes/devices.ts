@@ -0,0 +1,226 @@
+import { randomUUID } from 'node:crypto';
+import { Router } from 'express';
+import { Prisma } from '@prisma/client';
+import { z } from 'zod';
+import { prisma } from '../lib/prisma.js';
+import { generateMigrationCode, hashMigrationCode, issueDeviceToken } from '../lib/deviceTokens.js';
+import { requireAdmin, requireAppKey, requireDevice } from '../middleware/auth.js';
+import { createLogger } from '../lib/logger.js';
+import { isValidTimeZone } from '../lib/localTime.js';
+
+const logger = createLogger('devices');
+
+const registerSchema = z.object({
+  // Only for installs created before device credentials existed: an admin
+  // issues the code for the existing user. New installs get a fresh user.
+  migrationCode: z.string().min(1).optional(),
+  deviceName: z.string().min(1).max(100).optional(),
+  // The install's IANA zone; decides when a day pass unlock ends.
+  timezone: z.string().refine(isValidTimeZone, 'Unknown IANA timezone').optional()
+});
+
+const migrationCodeSchema = z.object({
+  userId: z.string().min(1),
+  ttlHours: z.number().int().min(1).max(24 * 30).default(72)
+});
+
+const linkSchema = z.object({
+  deviceName: z.string().min(1).max(100).optional()
+});
+
+const deviceSelect = {
+  id: true,
+  name: true,
+  createdAt: true,
+  rotatedAt: true,
+  revokedAt: true
+} satisfies Prisma.DeviceCredentialSelect;
+
+export const devicesRouter = Router();
+
+// The shared app key is only good for this call, and only ever creates a new
+// user unless it comes with a migration code; existing users add devices by
+// linking from an authenticated one.
+devicesRouter.post('/', requireAppKey, async (req, res, next) => {
+  try {
+    const { migrationCode, deviceName, timezone } = registerSchema.parse(req.body ?? {});
+
+    const result = await prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+      let user;
+      if (migrationCode) {
+        const now = new Date();
+        const codeHash = hashMigrationCode(migrationCode);
+        // The conditional update is the claim: of two concurrent requests with
+        // the same code, only one sees it unclaimed.
+        const claimed = await tx.deviceMigrationCode.updateMany({
+          where: { codeHash, claimedAt: null, expiresAt: { gt: now } },
+          data: { claimedAt: now }
+        });
+        if (claimed.count === 0) {
+          return null;
+        }
+        const { userId } = await tx.deviceMigrationCode.findUniqueOrThrow({ where: { codeHash } });
+        user = await tx.user.findUniqueOrThrow({ where: { id: userId } });
+        // Legacy users get their appAccountToken on first registration.
+        if (!user.appAccountToken || timezone) {
+          user = await tx.user.update({
+            where: { id: user.id },
+            data: { appAccountToken: user.appAccountToken ?? randomUUID(), ...(timezone ? { timezone } : {}) }
+          });
+        }
+      } else {
+        user = await tx.user.create({
+          data: { appAccountToken: randomUUID(), ...(timezone ? { timezone } : {}) }
+        });
+      }
+
+      const device = await tx.deviceCredential.create({
+        data: { userId: user.id, name: deviceName ?? null }
+      });
+      return { user, device };
+    });
+
+    if (!result) {
+      res.status(403).json({ error: 'Migration code is invalid, expired or already used' });
+      return;
+    }
+
+    const { token, expiresAt } = await issueDeviceToken(result.device);
+    logger.info('Registered device', {
+      userId: result.user.id,
+      deviceId: result.device.id,
+      migrated: Boolean(migrationCode)
+    });
+
+    res.status(201).json({
+      userId: result.user.id,
+      deviceId: result.device.id,
+      appAccountToken: result.user.appAccountToken,
+      token,
+      expiresAt
+    });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+// Issuing a new code for a user replaces any earlier one, claimed or not.
+devicesRouter.post('/migration-codes', requireAdmin('devices:write'), async (req, res, next) => {
+  try {
+    const { userId, ttlHours } = migrationCodeSchema.parse(req.body);
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } });
+    if (!user) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+
+    const { code, codeHash } = generateMigrationCode();
+    const expiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+    await prisma.deviceMigrationCode.upsert({
+      where: { userId },
+      create: { userId, codeHash, expiresAt },
+      update: { codeHash, expiresAt, createdAt: new Date(), claimedAt: null }
+    });
+    logger.info('Issued device migration code', { userId, expiresAt });
+
+    res.status(201).json({ userId, migrationCode: code, expiresAt });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+devicesRouter.post('/link', requireDevice, async (req, res, next) => {
+  try {
+    const { deviceName } = linkSchema.parse(req.body ?? {});
+    const device = await prisma.deviceCredential.create({
+      data: { userId: res.locals.userId, name: deviceName ?? null }
+    });
+    const user = await prisma.user.findUniqueOrThrow({ where: { id: res.locals.userId } });
+    const { token, expiresAt } = await issueDeviceToken(device);
+    logger.info('Linked device', { userId: device.userId, deviceId: device.id, from: res.locals.deviceId });
+
+    res.status(201).json({
+      userId: device.userId,
+      deviceId: device.id,
+      appAccountToken: user.appAccountToken,
+      token,
+      expiresAt
+    });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+// Bumps the token version, so the token used to call this stops working as
+// soon as the new one is returned.
+devicesRouter.post('/rotate', requireDevice, async (_req, res, next) => {
+  try {
+    const device = await prisma.deviceCredential.update({
+      where: { id: res.locals.deviceId },
+      data: { tokenVersion: { increment: 1 }, rotatedAt: new Date() }
+    });
+    const { token, expiresAt } = await issueDeviceToken(device);
+    res.json({ deviceId: device.id, token, expiresAt });
+  } catch (err) {
+    next(err);
+  }
+});
+
+devicesRouter.get('/', requireDevice, async (_req, res, next) => {
+  try {
+    const devices = await prisma.deviceCredential.findMany({
+      where: { userId: res.locals.userId },
+      select: deviceSelect,
+      orderBy: { createdAt: 'asc' }
+    });
+    res.json({ devices });
+  } catch (err) {
+    next(err);
+  }
+});
+
+devicesRouter.delete('/:id', requireDevice, async (req, res, next) => {
+  try {
+    const revoked = await prisma.deviceCredential.updateMany({
+      where: { id: req.params.id, userId: res.locals.userId, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+    if (revoked.count === 0) {
+      res.status(404).json({ error: 'Device not found' });
+      return;
+    }
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+});
+
+devicesRouter.post('/:id/revoke', requireAdmin('devices:write'), async (req, res, next) => {
+  try {
+    const device = await prisma.deviceCredential.update({
+      where: { id: req.params.id },
+      data: { revokedAt: new Date() },
+      select: { ...deviceSelect, userId: true }
+    });
+    logger.info('Admin revoked device', { deviceId: device.id, userId: device.userId });
+    res.json(device);
+  } catch (err) {
+    if (err instanceof Prisma.PrismaClientKnownRequestError && err.code === 'P2025') {
+      res.status(404).json({ error: 'Device not found' });
+      return;
+    }
+    next(err);
+  }
+});
@@ -0,0 +1,49 @@
+import { Router } from 'express';
+import { prisma } from '../lib/prisma.js';
+import { requireDevice } from '../middleware/auth.js';
+import { deriveSubscriptionStatus, isEntitled } from '../lib/subscriptions.js';
+
+export const entitlementsRouter = Router();
+
+// What the app should unlock right now. The server's view wins over whatever
+// StoreKit state the device has cached.
+entitlementsRouter.get('/', requireDevice, async (_req, res, next) => {
+  try {
+    const userId: string = res.locals.userId;
+    const now = new Date();
+
+    const [user, subscriptions, grant] = await Promise.all([
+      prisma.user.findUniqueOrThrow({ where: { id: userId }, select: { timezone: true } }),
+      prisma.subscription.findMany({ where: { userId }, orderBy: { expiresAt: 'desc' } }),
+      prisma.unlockGrant.findFirst({
+        where: { userId, revokedAt: null, expiresAt: { gt: now } },
+        orderBy: { expiresAt: 'desc' }
+      })
+    ]);
+
+    const subscription = subscriptions.find((entry) => isEntitled(entry, now)) ?? subscriptions[0];
+
+    res.json({
+      premium: subscription
+        ? {
+            active: isEntitled(subscription, now),
+            status: deriveSubscriptionStatus(subscription, now),
+            productId: subscription.productId,
+            expiresAt: subscription.expiresAt,
+            autoRenew: subscription.autoRenew,
+            gracePeriodExpiresAt: subscription.gracePeriodExpiresAt
+          }
+        : { active: false, status: null },
+      dayPass: grant
+        ? {
+            active: true,
+            purchaseId: grant.purchaseId,
+            expiresAt: grant.expiresAt
+          }
+        : { active: false },
+      timezone: user.timezone
+    });
+  } catch (err) {
+    next(err);
+  }
+});
@@ -0,0 +1,57 @@
+import { Router } from 'express';
+import { Prisma } from '@prisma/client';
+import { z } from 'zod';
+import { prisma } from '../lib/prisma.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const currencySchema = z.string().regex(/^[A-Z]{3}$/, 'Currency must be an ISO 4217 code');
+
+const createFxRateSchema = z.object({
+  currency: currencySchema,
+  // Strings are accepted so rates keep their full precision.
+  usdPerUnit: z.union([z.number().positive(), z.string().regex(/^\d+(\.\d+)?$/)]),
+  effectiveFrom: z.coerce.date()
+});
+
+const listFxRatesSchema = z.object({
+  currency: currencySchema.optional()
+});
+
+export const fxRatesRouter = Router();
+
+fxRatesRouter.get('/', requireAdmin('catalog:read'), async (req, res, next) => {
+  try {
+    const { currency } = listFxRatesSchema.parse(req.query);
+    const rates = await prisma.fxRate.findMany({
+      where: currency ? { currency } : {},
+      orderBy: [{ currency: 'asc' }, { effectiveFrom: 'desc' }]
+    });
+    res.json({ rates });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+// Rates are append-only: a correction is a new row with a later effectiveFrom,
+// so purchases already linked to a rate keep the figure they were booked at.
+fxRatesRouter.post('/', requireAdmin('catalog:write'), async (req, res, next) => {
+  try {
+    const data = createFxRateSchema.parse(req.body);
+    const rate = await prisma.fxRate.create({ data });
+    res.status(201).json(rate);
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    if (err instanceof Prisma.PrismaClientKnownRequestError && err.code === 'P2002') {
+      res.status(409).json({ error: 'A rate already exists for that currency and date' });
+      return;
+    }
+    next(err);
+  }
+});
@@ -1,7 +1,128 @@
 import { Router } from 'express';
+import { prisma } from '../lib/prisma.js';
+import { redis } from '../lib/redis.js';
+import { validateReceiptQueue } from '../lib/queues.js';
+import { config } from '../lib/config.js';
+import { readWorkerHeartbeat } from '../lib/heartbeat.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('health');
+
+type CheckStatus = 'ok' | 'failing' | 'stale';
+
+type CheckResult = {
+  status: CheckStatus;
+  critical: boolean;
+  latencyMs: number;
+  error?: string;
+  detail?: Record<string, unknown>;
+};
+
+type ReadinessCheck = {
+  name: string;
+  // A failing critical check takes the instance out of rotation; the rest only
+  // show up in the response.
+  critical: boolean;
+  timeoutMs: number;
+  run: () => Promise<Omit<CheckResult, 'critical' | 'latencyMs'> | void>;
+};
+
+const checks: ReadinessCheck[] = [
+  {
+    name: 'database',
+    critical: true,
+    timeoutMs: 2000,
+    run: async () => {
+      await prisma.$queryRaw`SELECT 1`;
+    }
+  },
+  {
+    name: 'redis',
+    critical: true,
+    timeoutMs: 1000,
+    run: async () => {
+      await redis.ping();
+    }
+  },
+  {
+    name: 'queue',
+    critical: true,
+    timeoutMs: 2000,
+    run: async () => {
+      const counts = await validateReceiptQueue.getJobCounts('waiting', 'active', 'delayed');
+      return { status: 'ok', detail: counts };
+    }
+  },
+  {
+    // Purchases still land in the outbox without a worker, so a missing
+    // heartbeat degrades readiness instead of failing it.
+    name: 'worker',
+    critical: false,
+    timeoutMs: 1000,
+    run: async () => {
+      const heartbeat = await readWorkerHeartbeat();
+      if (!heartbeat) {
+        return { status: 'stale', error: 'No worker heartbeat' };
+      }
+      const { latest, workers } = heartbeat;
+      const ageSeconds = Math.round((Date.now() - new Date(latest.at).getTime()) / 1000);
+      const detail = { lastHeartbeatAt: latest.at, ageSeconds, hostname: latest.hostname, workers };
+      return ageSeconds > config.workerHeartbeatStaleSeconds
+        ? { status: 'stale', error: `Last heartbeat ${ageSeconds}s ago`, detail }
+        : { status: 'ok', detail };
+    }
+  }
+];
 
 export const healthRouter = Router();
 
+// Liveness only: the process is up. Dependencies are covered by /readyz.
 healthRouter.get('/healthz', (_req, res) => {
   res.json({ ok: true, time: new Date().toISOString() });
 });
+
+healthRouter.get('/readyz', async (_req, res) => {
+  const results = await Promise.all(checks.map(runCheck));
+  const report = Object.fromEntries(checks.map((check, index) => [check.name, results[index]]));
+
+  const criticalFailure = results.some((result) => result.critical && result.status !== 'ok');
+  const degraded = results.some((result) => result.status !== 'ok');
+  if (criticalFailure) {
+    logger.warn('Readiness check failing', { checks: report });
+  }
+
+  res.status(criticalFailure ? 503 : 200).json({
+    status: criticalFailure ? 'unavailable' : degraded ? 'degraded' : 'ready',
+    time: new Date().toISOString(),
+    checks: report
+  });
+});
+
+async function runCheck(check: ReadinessCheck): Promise<CheckResult> {
+  const startedAt = Date.now();
+  let timer: NodeJS.Timeout | undefined;
+  try {
+    const outcome = await Promise.race([
+      check.run(),
+      new Promise<never>((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${check.timeoutMs}ms`)), check.timeoutMs);
+      })
+    ]);
+    return {
+      status: 'ok',
+      ...outcome,
+      critical: check.critical,
+      latencyMs: Date.now() - startedAt
+    };
+  } catch (err) {
+    return {
+      status: 'failing',
+      critical: check.critical,
+      latencyMs: Date.now() - startedAt,
+      // Prisma errors span several lines; the last one carries the cause.
+      error: (err instanceof Error ? err.message : String(err)).trim().split('\n').pop()
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,60 @@
+import { Router, type Response } from 'express';
+import { z } from 'zod';
+import { getImpactSnapshot } from '../lib/impact.js';
+import { publicRateLimiter } from '../middleware/auth.js';
+
+const leaderboardQuerySchema = z.object({
+  limit: z.coerce.number().int().min(1).max(50).default(10)
+});
+
+// Unauthenticated and read-only; fed to the app's Social tab and the website.
+export const impactRouter = Router();
+
+impactRouter.use(publicRateLimiter);
+
+impactRouter.get('/', async (_req, res, next) => {
+  try {
+    const { leaderboard, ...summary } = await getImpactSnapshot();
+    sendPublic(res, { ...summary, charities: leaderboard.length });
+  } catch (err) {
+    next(err);
+  }
+});
+
+impactRouter.get('/totals', async (_req, res, next) => {
+  try {
+    const { totalDonatedCents, totalDayPasses, generatedAt } = await getImpactSnapshot();
+    sendPublic(res, { totalDonatedCents, totalDayPasses, generatedAt });
+  } catch (err) {
+    next(err);
+  }
+});
+
+impactRouter.get('/month', async (_req, res, next) => {
+  try {
+    const { thisMonth, generatedAt } = await getImpactSnapshot();
+    sendPublic(res, { ...thisMonth, generatedAt });
+  } catch (err) {
+    next(err);
+  }
+});
+
+impactRouter.get('/leaderboard', async (req, res, next) => {
+  try {
+    const { limit } = leaderboardQuerySchema.parse(req.query);
+    const { leaderboard, generatedAt } = await getImpactSnapshot();
+    sendPublic(res, { leaderboard: leaderboard.slice(0, limit), generatedAt });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+// Overrides the API-wide no-store: these figures are the same for everyone.
+function sendPublic(res: Response, body: unknown) {
+  res.setHeader('Cache-Control', 'public, max-age=60');
+  res.json(body);
+}
@@ -0,0 +1,14 @@
+import { Router } from 'express';
+import { metricsRegistry } from '../lib/metrics.js';
+import { requireMetricsToken } from '../middleware/auth.js';
+
+export const metricsRouter = Router();
+
+metricsRouter.get('/metrics', requireMetricsToken, async (_req, res, next) => {
+  try {
+    res.setHeader('Content-Type', metricsRegistry.contentType);
+    res.send(await metricsRegistry.metrics());
+  } catch (err) {
+    next(err);
+  }
+});
@@ -0,0 +1,200 @@
+import { Router } from 'express';
+import { PurchaseStatus } from '@prisma/client';
+import { createBullBoard } from '@bull-board/api';
+import { BullMQAdapter } from '@bull-board/api/bullMQAdapter.js';
+import { ExpressAdapter } from '@bull-board/express';
+import { z } from 'zod';
+import { prisma } from '../lib/prisma.js';
+import { reportQueue, validateReceiptQueue } from '../lib/queues.js';
+import { currentMonth, monthRange } from '../lib/months.js';
+import { escapeHtml, formatCents, renderPage, renderTable } from '../lib/html.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+export const OPS_BASE_PATH = '/ops';
+
+const purchasesQuerySchema = z.object({
+  status: z.nativeEnum(PurchaseStatus).optional(),
+  limit: z.coerce.number().int().min(1).max(500).default(100)
+});
+
+export const opsRouter = Router();
+
+opsRouter.use(requireAdmin('ops:read', { browser: true }));
+
+// Read-only: retries and cleanups go through the audited admin API instead.
+const queuesAdapter = new ExpressAdapter();
+queuesAdapter.setBasePath(`${OPS_BASE_PATH}/queues`);
+createBullBoard({
+  queues: [
+    new BullMQAdapter(validateReceiptQueue, { readOnlyMode: true }),
+    new BullMQAdapter(reportQueue, { readOnlyMode: true })
+  ],
+  serverAdapter: queuesAdapter,
+  options: { uiConfig: { boardTitle: 'MindLock queues' } }
+});
+opsRouter.use('/queues', queuesAdapter.getRouter());
+
+opsRouter.get('/', async (_req, res, next) => {
+  try {
+    const [byStatus, validateCounts, reportCounts] = await Promise.all([
+      prisma.purchase.groupBy({ by: ['status'], _count: { _all: true } }),
+      validateReceiptQueue.getJobCounts(),
+      reportQueue.getJobCounts()
+    ]);
+
+    const statusRows = byStatus.map((row) => [row.status, row._count._all]);
+    const queueRows = [
+      ['validate-receipt', ...queueCountCells(validateCounts)],
+      ['generate-report', ...queueCountCells(reportCounts)]
+    ];
+
+    res.type('html').send(
+      renderPage(
+        'Overview',
+        `<h2>Purchases by status</h2>${renderTable(['Status', 'Purchases'], statusRows)}
+<h2>Queues</h2>${renderTable(['Queue', 'Waiting', 'Active', 'Delayed', 'Failed', 'Completed'], queueRows)}`
+      )
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
+opsRouter.get('/purchases', async (req, res, next) => {
+  try {
+    const { status, limit } = purchasesQuerySchema.parse(req.query);
+    const purchases = await prisma.purchase.findMany({
+      where: status ? { status } : {},
+      include: { charity: { select: { name: true } } },
+      orderBy: { createdAt: 'desc' },
+      take: limit
+    });
+
+    const filters = [undefined, ...Object.values(PurchaseStatus)]
+      .map((value) => {
+        const href = value ? `?status=${value}` : '?';
+        const label = value ?? 'all';
+        return value === status ? `<strong>${label}</strong>` : `<a href="${href}">${label}</a>`;
+      })
+      .join(' · ');
+
+    const rows = purchases.map((purchase) => [
+      purchase.createdAt.toISOString(),
+      purchase.id,
+      purchase.userId,
+      purchase.productId,
+      purchase.charity.name,
+      purchase.status,
+      formatCents(purchase.grossCents),
+      formatCents(purchase.donationCents),
+      purchase.failureReason ?? ''
+    ]);
+
+    res.type('html').send(
+      renderPage(
+        `Recent purchases${status ? ` (${escapeHtml(status)})` : ''}`,
+        `<p>${filters}</p>${renderTable(
+          ['Created', 'Purchase', 'User', 'Product', 'Charity', 'Status', 'Gross', 'Donation', 'Failure reason'],
+          rows
+        )}`
+      )
+    );
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+opsRouter.get('/failures', async (_req, res, next) => {
+  try {
+    const [failed, reasons] = await Promise.all([
+      prisma.purchase.findMany({
+        where: { status: 'failed' },
+        orderBy: { createdAt: 'desc' },
+        take: 200
+      }),
+      prisma.purchase.groupBy({
+        by: ['failureReason'],
+        where: { status: 'failed' },
+        _count: { _all: true },
+        orderBy: { _count: { failureReason: 'desc' } }
+      })
+    ]);
+
+    const reasonRows = reasons.map((row) => [row.failureReason ?? '(none)', row._count._all]);
+    const rows = failed.map((purchase) => [
+      purchase.createdAt.toISOString(),
+      purchase.id,
+      purchase.userId,
+      purchase.appleTransactionId ?? '',
+      purchase.receiptData ? 'receipt' : 'jws',
+      purchase.failureReason ?? ''
+    ]);
+
+    res.type('html').send(
+      renderPage(
+        'Failed validations',
+        `<h2>By reason</h2>${renderTable(['Failure reason', 'Purchases'], reasonRows)}
+<h2>Most recent</h2>${renderTable(['Created', 'Purchase', 'User', 'Transaction', 'Path', 'Failure reason'], rows)}`
+      )
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Same bucketing as the monthly report: donations by their purchase's
+// completedAt, reversals by when they were reversed.
+opsRouter.get('/donations', async (_req, res, next) => {
+  try {
+    const month = currentMonth();
+    const { start, end } = monthRange(month);
+    const [charities, donated, reversed] = await Promise.all([
+      prisma.charity.findMany({ select: { id: true, name: true } }),
+      prisma.charityDonation.groupBy({
+        by: ['charityId'],
+        where: { purchase: { completedAt: { gte: start, lt: end } } },
+        _sum: { donationCents: true },
+        _count: { _all: true }
+      }),
+      prisma.charityDonation.groupBy({
+        by: ['charityId'],
+        where: { reversedAt: { gte: start, lt: end } },
+        _sum: { donationCents: true }
+      })
+    ]);
+
+    const names = new Map(charities.map((charity) => [charity.id, charity.name]));
+    const reversedByCharity = new Map(reversed.map((row) => [row.charityId, row._sum.donationCents ?? 0]));
+    const rows = donated
+      .map((row) => {
+        const donationCents = row._sum.donationCents ?? 0;
+        const reversedCents = reversedByCharity.get(row.charityId) ?? 0;
+        return { row, donationCents, reversedCents, netCents: donationCents - reversedCents };
+      })
+      .sort((a, b) => b.netCents - a.netCents)
+      .map(({ row, donationCents, reversedCents, netCents }) => [
+        names.get(row.charityId) ?? row.charityId,
+        row._count._all,
+        formatCents(donationCents),
+        formatCents(reversedCents),
+        formatCents(netCents)
+      ]);
+
+    res.type('html').send(
+      renderPage(
+        `Donations for ${month}`,
+        renderTable(['Charity', 'Donations', 'Donated', 'Reversed', 'Net'], rows)
+      )
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
+function queueCountCells(counts: Record<string, number>) {
+  return [counts.waiting ?? 0, counts.active ?? 0, counts.delayed ?? 0, counts.failed ?? 0, counts.completed ?? 0];
+}
@@ -0,0 +1,210 @@
+import { Router } from 'express';
+import { PayoutMethod } from '@prisma/client';
+import { z } from 'zod';
+import { prisma } from '../lib/prisma.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { MONTH_PATTERN } from '../lib/months.js';
+import type { MonthlyReportCharity } from '../jobs/monthlyReport.js';
+
+const monthSchema = z.string().regex(MONTH_PATTERN, 'Month must be formatted YYYY-MM');
+
+const createPayoutSchema = z
+  .object({
+    charityId: z.string().min(1),
+    amountCents: z.number().int().positive(),
+    paidAt: z.coerce.date(),
+    method: z.nativeEnum(PayoutMethod),
+    reference: z.string().min(1).optional(),
+    note: z.string().min(1).optional(),
+    allocations: z
+      .array(z.object({ month: monthSchema, amountCents: z.number().int().positive() }))
+      .min(1)
+  })
+  .refine(
+    (payout) => payout.allocations.reduce((sum, item) => sum + item.amountCents, 0) === payout.amountCents,
+    { message: 'Allocations must add up to amountCents', path: ['allocations'] }
+  )
+  .refine(
+    (payout) => new Set(payout.allocations.map((item) => item.month)).size === payout.allocations.length,
+    { message: 'Each month may only be allocated once per payout', path: ['allocations'] }
+  );
+
+const listPayoutsSchema = z.object({
+  charityId: z.string().min(1).optional()
+});
+
+const reconciliationSchema = z.object({
+  month: monthSchema.optional()
+});
+
+type ReconciliationStatus = 'matched' | 'unpaid' | 'underpaid' | 'overpaid';
+
+export const payoutsRouter = Router();
+
+payoutsRouter.get('/', requireAdmin('payouts:read'), async (req, res, next) => {
+  try {
+    const { charityId } = listPayoutsSchema.parse(req.query);
+    const payouts = await prisma.charityPayout.findMany({
+      where: charityId ? { charityId } : {},
+      include: { allocations: { include: { report: { select: { month: true } } } } },
+      orderBy: { paidAt: 'desc' }
+    });
+    res.json({ payouts });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+payoutsRouter.post('/', requireAdmin('payouts:write'), async (req, res, next) => {
+  try {
+    const { allocations, ...data } = createPayoutSchema.parse(req.body);
+
+    const charity = await prisma.charity.findUnique({ where: { id: data.charityId } });
+    if (!charity) {
+      res.status(400).json({ error: 'Unknown charityId' });
+      return;
+    }
+
+    const months = allocations.map((item) => item.month);
+    const reports = await prisma.monthlyReport.findMany({ where: { month: { in: months } } });
+    const reportIds = new Map(reports.map((report) => [report.month, report.id]));
+    const missing = months.filter((month) => !reportIds.has(month));
+    if (missing.length > 0) {
+      res.status(400).json({ error: `No report generated for ${missing.join(', ')}` });
+      return;
+    }
+
+    const payout = await prisma.charityPayout.create({
+      data: {
+        ...data,
+        allocations: {
+          create: allocations.map((item) => ({
+            reportId: reportIds.get(item.month)!,
+            amountCents: item.amountCents
+          }))
+        }
+      },
+      include: { allocations: true }
+    });
+
+    res.status(201).json(payout);
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+// Everything a charity has been credited (net of reversals) minus everything
+// paid to it, across all months.
+payoutsRouter.get('/balances', requireAdmin('payouts:read'), async (_req, res, next) => {
+  try {
+    const [charities, donated, reversed, paid] = await Promise.all([
+      prisma.charity.findMany({ select: { id: true, name: true }, orderBy: { name: 'asc' } }),
+      prisma.charityDonation.groupBy({ by: ['charityId'], _sum: { donationCents: true } }),
+      prisma.charityDonation.groupBy({
+        by: ['charityId'],
+        where: { reversedAt: { not: null } },
+        _sum: { donationCents: true }
+      }),
+      prisma.charityPayout.groupBy({ by: ['charityId'], _sum: { amountCents: true } })
+    ]);
+
+    const sumFor = <T extends { charityId: string }>(rows: T[], pick: (row: T) => number | null) =>
+      new Map(rows.map((row) => [row.charityId, pick(row) ?? 0]));
+    const donatedMap = sumFor(donated, (row) => row._sum.donationCents);
+    const reversedMap = sumFor(reversed, (row) => row._sum.donationCents);
+    const paidMap = sumFor(paid, (row) => row._sum.amountCents);
+
+    const balances = charities.map((charity) => {
+      const donatedCents = donatedMap.get(charity.id) ?? 0;
+      const reversedCents = reversedMap.get(charity.id) ?? 0;
+      const paidCents = paidMap.get(charity.id) ?? 0;
+      return {
+        charityId: charity.id,
+        charityName: charity.name,
+        donatedCents,
+        reversedCents,
+        paidCents,
+        outstandingCents: donatedCents - reversedCents - paidCents
+      };
+    });
+
+    res.json({ balances });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Compares what each report says a charity is owed for the month against the
+// payouts allocated to that report. Anything other than `matched` needs review.
+payoutsRouter.get('/reconciliation', requireAdmin('payouts:read'), async (req, res, next) => {
+  try {
+    const { month } = reconciliationSchema.parse(req.query);
+
+    const reports = await prisma.monthlyReport.findMany({
+      where: month ? { month } : {},
+      include: { payoutAllocations: { include: { payout: { select: { charityId: true } } } } },
+      orderBy: { month: 'desc' }
+    });
+
+    const lines = reports.flatMap((report) => {
+      const payload = report.payload as { charities?: MonthlyReportCharity[] };
+      const expected = new Map<string, { charityName: string; cents: number }>();
+      for (const charity of payload.charities ?? []) {
+        expected.set(charity.charityId, {
+          charityName: charity.charityName,
+          cents: charity.netDonationCents ?? charity.donationCents
+        });
+      }
+
+      const paid = new Map<string, number>();
+      for (const allocation of report.payoutAllocations) {
+        const charityId = allocation.payout.charityId;
+        paid.set(charityId, (paid.get(charityId) ?? 0) + allocation.amountCents);
+      }
+
+      const charityIds = new Set([...expected.keys(), ...paid.keys()]);
+      return Array.from(charityIds, (charityId) => {
+        const expectedCents = expected.get(charityId)?.cents ?? 0;
+        const paidCents = paid.get(charityId) ?? 0;
+        return {
+          month: report.month,
+          charityId,
+          charityName: expected.get(charityId)?.charityName ?? null,
+          expectedCents,
+          paidCents,
+          differenceCents: expectedCents - paidCents,
+          status: reconciliationStatus(expectedCents, paidCents)
+        };
+      });
+    });
+
+    res.json({
+      lines,
+      mismatches: lines.filter((line) => line.status !== 'matched').length
+    });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+function reconciliationStatus(expectedCents: number, paidCents: number): ReconciliationStatus {
+  if (expectedCents === paidCents) {
+    return 'matched';
+  }
+  if (paidCents === 0) {
+    return 'unpaid';
+  }
+  return paidCents < expectedCents ? 'underpaid' : 'overpaid';
+}
@@ -0,0 +1,68 @@
+import { Router } from 'express';
+import { Prisma, ProductType } from '@prisma/client';
+import { z } from 'zod';
+import { prisma } from '../lib/prisma.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const rateBps = z.number().int().min(0).max(10_000);
+
+const createProductSchema = z.object({
+  id: z.string().regex(/^[A-Za-z0-9._-]+$/, 'Product id must match the App Store product identifier'),
+  name: z.string().min(1),
+  type: z.nativeEnum(ProductType).optional(),
+  priceCents: z.number().int().positive(),
+  appleFeeRateBps: rateBps,
+  donationRateBps: rateBps,
+  isActive: z.boolean().optional()
+});
+
+const updateProductSchema = createProductSchema.omit({ id: true }).partial();
+
+export const productsRouter = Router();
+
+productsRouter.get('/', requireAdmin('catalog:read'), async (_req, res, next) => {
+  try {
+    const products = await prisma.product.findMany({ orderBy: { id: 'asc' } });
+    res.json({ products });
+  } catch (err) {
+    next(err);
+  }
+});
+
+productsRouter.post('/', requireAdmin('catalog:write'), async (req, res, next) => {
+  try {
+    const data = createProductSchema.parse(req.body);
+    const product = await prisma.product.create({ data });
+    res.status(201).json(product);
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    if (err instanceof Prisma.PrismaClientKnownRequestError && err.code === 'P2002') {
+      res.status(409).json({ error: 'Product already exists' });
+      return;
+    }
+    next(err);
+  }
+});
+
+// Rate changes only apply to purchases created afterwards; existing purchases
+// keep the rates they snapshotted.
+productsRouter.patch('/:id', requireAdmin('catalog:write'), async (req, res, next) => {
+  try {
+    const data = updateProductSchema.parse(req.body);
+    const product = await prisma.product.update({ where: { id: req.params.id }, data });
+    res.json(product);
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    if (err instanceof Prisma.PrismaClientKnownRequestError && err.code === 'P2025') {
+      res.status(404).json({ error: 'Product not found' });
+      return;
+    }
+    next(err);
+  }
+});
@@ -0,0 +1,386 @@
+import { Router, type Response } from 'express';
+import { Prisma, PurchaseStatus, type OutboxMessage } from '@prisma/client';
+import { z } from 'zod';
+import { prisma } from '../lib/prisma.js';
+import { recordStatusChange, validationJob } from '../lib/purchaseStatus.js';
+import { addToOutbox, dispatchOutboxMessage } from '../lib/outbox.js';
+import { invalidateImpactCache } from '../lib/impact.js';
+import { issueUnlockGrant, revokeUnlockGrant } from '../lib/unlockGrants.js';
+import { recordSubscriptionTransaction } from '../lib/subscriptions.js';
+import { monthOf } from '../lib/months.js';
+import {
+  StoreKitVerificationError,
+  verifyStoreKitTransaction,
+  type StoreKitTransactionPayload
+} from '../lib/storekit.js';
+import type { AdminActor } from '../lib/adminKeys.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('purchase-review');
+
+// Only purchases that never reached a settled state can be retried or forced;
+// completed and refunded ones carry donations that reports depend on.
+const REVIEWABLE_STATUSES: PurchaseStatus[] = ['failed', 'pending_validation'];
+
+const reasonSchema = z.string().trim().min(3).max(500);
+
+const listQuerySchema = z.object({
+  status: z.enum(['failed', 'pending_validation']).default('failed'),
+  failureReason: z.string().min(1).optional(),
+  productId: z.string().min(1).optional(),
+  charityId: z.string().min(1).optional(),
+  userId: z.string().min(1).optional(),
+  since: z.coerce.date().optional(),
+  until: z.coerce.date().optional(),
+  cursor: z.string().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(200).default(50)
+});
+
+const requeueSchema = z.object({
+  purchaseIds: z.array(z.string().min(1)).min(1).max(100),
+  reason: reasonSchema.optional()
+});
+
+const requeueOneSchema = z.object({
+  reason: reasonSchema.optional()
+});
+
+const forceCompleteSchema = z.object({
+  reason: reasonSchema,
+  completedAt: z.coerce.date().optional()
+});
+
+const forceFailSchema = z.object({
+  reason: reasonSchema
+});
+
+const reviewSelect = {
+  id: true,
+  status: true,
+  completedAt: true,
+  failureReason: true
+} satisfies Prisma.PurchaseSelect;
+
+type ReviewedPurchase = Prisma.PurchaseGetPayload<{ select: typeof reviewSelect }>;
+
+type ForcedOutcome = { purchase: ReviewedPurchase } | { status: 404 | 409; error: string };
+
+type RequeueTransition = { error: string } | { message: OutboxMessage };
+
+type RequeueOutcome =
+  | { purchaseId: string; requeued: true }
+  | { purchaseId: string; requeued: false; error: string };
+
+export const purchaseReviewRouter = Router();
+
+purchaseReviewRouter.get('/', requireAdmin('purchases:read'), async (req, res, next) => {
+  try {
+    const query = listQuerySchema.parse(req.query);
+    const purchases = await prisma.purchase.findMany({
+      where: {
+        status: query.status,
+        ...(query.failureReason
+          ? { failureReason: { contains: query.failureReason, mode: 'insensitive' } }
+          : {}),
+        ...(query.productId ? { productId: query.productId } : {}),
+        ...(query.charityId ? { charityId: query.charityId } : {}),
+        ...(query.userId ? { userId: query.userId } : {}),
+        ...(query.since || query.until ? { createdAt: { gte: query.since, lt: query.until } } : {})
+      },
+      select: {
+        id: true,
+        userId: true,
+        charityId: true,
+        productId: true,
+        appleTransactionId: true,
+        status: true,
+        failureReason: true,
+        createdAt: true
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: query.limit + 1,
+      ...(query.cursor ? { cursor: { id: query.cursor }, skip: 1 } : {})
+    });
+    const page = purchases.slice(0, query.limit);
+    res.json({
+      purchases: page,
+      nextCursor: purchases.length > query.limit ? page[page.length - 1].id : null
+    });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+purchaseReviewRouter.get('/:id', requireAdmin('purchases:read'), async (req, res, next) => {
+  try {
+    const purchase = await prisma.purchase.findUnique({
+      where: { id: req.params.id },
+      include: {
+        charity: { select: { id: true, name: true } },
+        donation: true,
+        statusHistory: { orderBy: { createdAt: 'asc' } }
+      }
+    });
+    if (!purchase) {
+      res.status(404).json({ error: 'Purchase not found' });
+      return;
+    }
+    const { receiptData, transactionJws, ...rest } = purchase;
+    res.json({ ...rest, hasReceiptData: Boolean(receiptData), hasTransactionJws: Boolean(transactionJws) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+purchaseReviewRouter.post('/requeue', requireAdmin('purchases:write'), async (req, res, next) => {
+  try {
+    const { purchaseIds, reason } = requeueSchema.parse(req.body);
+    const results: RequeueOutcome[] = [];
+    for (const purchaseId of new Set(purchaseIds)) {
+      results.push(await requeuePurchase(purchaseId, reason, res.locals.admin));
+    }
+    res.status(202).json({
+      results,
+      requeued: results.filter((result) => result.requeued).length
+    });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+purchaseReviewRouter.post('/:id/requeue', requireAdmin('purchases:write'), async (req, res, next) => {
+  try {
+    const { reason } = requeueOneSchema.parse(req.body ?? {});
+    const result = await requeuePurchase(req.params.id, reason, res.locals.admin);
+    if (!result.requeued) {
+      res.status(result.error === 'Purchase not found' ? 404 : 409).json({ error: result.error });
+      return;
+    }
+    res.status(202).json(result);
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+// For purchases Apple has confirmed out of band, e.g. from App Store Connect
+// while the customer waits. Books the donation exactly like a validation would,
+// so it must land in a month whose report is still open.
+purchaseReviewRouter.post('/:id/force-complete', requireAdmin('purchases:write'), async (req, res, next) => {
+  try {
+    const { reason, completedAt: requestedAt } = forceCompleteSchema.parse(req.body);
+    const actor: AdminActor = res.locals.admin;
+    const completedAt = requestedAt ?? new Date();
+
+    const subscriptionTransaction = await forcedSubscriptionTransaction(req.params.id);
+    if (subscriptionTransaction && 'error' in subscriptionTransaction) {
+      res.status(409).json({ error: subscriptionTransaction.error });
+      return;
+    }
+
+    const outcome = await prisma.$transaction(async (tx: Prisma.TransactionClient): Promise<ForcedOutcome> => {
+      const current = await tx.purchase.findUnique({
+        where: { id: req.params.id },
+        include: { product: { select: { type: true } } }
+      });
+      if (!current) {
+        return { status: 404, error: 'Purchase not found' };
+      }
+      const blocked = reviewBlocker(current);
+      if (blocked) {
+        return { status: 409, error: blocked };
+      }
+      const month = monthOf(completedAt);
+      const report = await tx.monthlyReport.findUnique({ where: { month }, select: { finalizedAt: true } });
+      if (report?.finalizedAt) {
+        return { status: 409, error: `Report for ${month} is finalized; use a completedAt in an open month` };
+      }
+
+      const purchase = await tx.purchase.update({
+        where: { id: current.id },
+        data: { status: 'completed', completedAt, failureReason: null },
+        select: reviewSelect
+      });
+      await tx.charityDonation.upsert({
+        where: { purchaseId: current.id },
+        create: {
+          purchaseId: current.id,
+          charityId: current.charityId,
+          donationCents: current.donationCents
+        },
+        update: {}
+      });
+      if (current.product.type === 'consumable') {
+        await issueUnlockGrant(tx, current);
+      }
+      if (subscriptionTransaction) {
+        await recordSubscriptionTransaction(
+          { userId: current.userId, charityId: current.charityId },
+          subscriptionTransaction.transaction,
+          tx
+        );
+      }
+      await recordStatusChange(tx, {
+        purchaseId: current.id,
+        fromStatus: current.status,
+        toStatus: 'completed',
+        reason,
+        actor: actor.name
+      });
+      return { purchase };
+    });
+
+    if (sendForcedOutcome(res, outcome)) {
+      await invalidateImpactCache();
+      logger.info('Force-completed purchase', { purchaseId: req.params.id, actor: actor.name });
+    }
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+purchaseReviewRouter.post('/:id/force-fail', requireAdmin('purchases:write'), async (req, res, next) => {
+  try {
+    const { reason } = forceFailSchema.parse(req.body);
+    const actor: AdminActor = res.locals.admin;
+
+    const outcome = await prisma.$transaction(async (tx: Prisma.TransactionClient): Promise<ForcedOutcome> => {
+      const current = await tx.purchase.findUnique({ where: { id: req.params.id } });
+      if (!current) {
+        return { status: 404, error: 'Purchase not found' };
+      }
+      if (current.status !== 'pending_validation') {
+        return { status: 409, error: `Purchase is ${current.status}` };
+      }
+      const purchase = await tx.purchase.update({
+        where: { id: current.id },
+        data: { status: 'failed', failureReason: `Manually failed: ${reason}` },
+        select: reviewSelect
+      });
+      await revokeUnlockGrant(tx, current.id, `Manually failed: ${reason}`);
+      await recordStatusChange(tx, {
+        purchaseId: current.id,
+        fromStatus: current.status,
+        toStatus: 'failed',
+        reason,
+        actor: actor.name
+      });
+      return { purchase };
+    });
+
+    if (sendForcedOutcome(res, outcome)) {
+      logger.info('Force-failed purchase', { purchaseId: req.params.id, actor: actor.name });
+    }
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+// Moves the purchase back to pending_validation before enqueueing so the
+// worker, which skips anything else, picks it up again.
+async function requeuePurchase(
+  purchaseId: string,
+  reason: string | undefined,
+  actor: AdminActor
+): Promise<RequeueOutcome> {
+  const result = await prisma.$transaction(async (tx: Prisma.TransactionClient): Promise<RequeueTransition> => {
+    const current = await tx.purchase.findUnique({ where: { id: purchaseId } });
+    if (!current) {
+      return { error: 'Purchase not found' };
+    }
+    const blocked = reviewBlocker(current);
+    if (blocked) {
+      return { error: blocked };
+    }
+    if (current.status === 'failed') {
+      await tx.purchase.update({
+        where: { id: purchaseId },
+        data: { status: 'pending_validation', failureReason: null }
+      });
+    }
+    await recordStatusChange(tx, {
+      purchaseId,
+      fromStatus: current.status,
+      toStatus: 'pending_validation',
+      reason: reason ?? 'Validation re-enqueued',
+      actor: actor.name
+    });
+    return { message: await addToOutbox(tx, validationJob(purchaseId, `retry-${Date.now()}`)) };
+  });
+
+  if ('error' in result) {
+    return { purchaseId, requeued: false, error: result.error };
+  }
+
+  await dispatchOutboxMessage(result.message);
+  logger.info('Re-enqueued validation', { purchaseId, actor: actor.name });
+  return { purchaseId, requeued: true };
+}
+
+// A purchase Apple refunded before it was validated is failed with
+// `refundedAt` set; completing it would book a donation for returned money.
+function reviewBlocker(purchase: { status: PurchaseStatus; refundedAt: Date | null }): string | null {
+  if (!REVIEWABLE_STATUSES.includes(purchase.status)) {
+    return `Purchase is ${purchase.status}`;
+  }
+  if (purchase.refundedAt) {
+    return 'Purchase was refunded by Apple';
+  }
+  return null;
+}
+
+// A subscription is only entitled through its Subscription row, which needs
+// the period Apple signed; the stored JWS must still verify to create it.
+async function forcedSubscriptionTransaction(
+  purchaseId: string
+): Promise<{ transaction: StoreKitTransactionPayload } | { error: string } | null> {
+  const purchase = await prisma.purchase.findUnique({
+    where: { id: purchaseId },
+    select: { appleTransactionId: true, transactionJws: true, product: { select: { type: true } } }
+  });
+  if (purchase?.product.type !== 'auto_renewable') {
+    return null;
+  }
+  let transaction: StoreKitTransactionPayload;
+  try {
+    transaction = await verifyStoreKitTransaction(purchase.transactionJws);
+  } catch (err) {
+    if (err instanceof StoreKitVerificationError) {
+      return { error: `Stored transaction does not verify: ${err.failureReason}` };
+    }
+    throw err;
+  }
+  if (transaction.transactionId !== purchase.appleTransactionId || !transaction.expiresDate) {
+    return { error: 'Stored transaction is not this subscription period' };
+  }
+  return { transaction };
+}
+
+function sendForcedOutcome(res: Response, outcome: ForcedOutcome): boolean {
+  if ('error' in outcome) {
+    res.status(outcome.status).json({ error: outcome.error });
+    return false;
+  }
+  res.json(outcome.purchase);
+  return true;
+}
@@ -1,75 +1,96 @@
-import { Router } from 'express';
+import { Router, type Response } from 'express';
 import { Prisma } from '@prisma/client';
 import { z } from 'zod';
 import { prisma } from '../lib/prisma.js';
-import { purchasesRateLimiter, requireAppKey } from '../middleware/auth.js';
-import { validateReceiptQueue } from '../lib/queues.js';
+import { purchasesRateLimiter, requireDevice } from '../middleware/auth.js';
+import { validationJob } from '../lib/purchaseStatus.js';
+import { addToOutbox, dispatchOutboxMessage } from '../lib/outbox.js';
+import { purchaseViewInclude, toPurchaseView } from '../lib/purchaseView.js';
+import { computeSplit, purchaseRates } from '../lib/pricing.js';
+import { createLogger } from '../lib/logger.js';
+import { isValidTimeZone } from '../lib/localTime.js';
+import { purchasesCreated } from '../lib/metrics.js';
+import { findIdempotencyKey, hashRequest, recordIdempotencyKey } from '../lib/idempotency.js';
 
-const log = (...args: unknown[]) => console.log('[purchases]', ...args);
-const logError = (...args: unknown[]) => console.error('[purchases]', ...args);
+const logger = createLogger('purchases');
 
+// The purchasing user comes from the device token, never from the body.
 const createPurchaseSchema = z.object({
-  userId: z.string().min(1),
   userEmail: z.string().email().optional(),
   charityId: z.string().min(1),
-  charityName: z.string().min(1).optional(),
-  productId: z.literal('mindlock.daypass'),
+  productId: z.string().min(1),
   transactionId: z.string().min(1),
   transactionJWS: z.string().min(10),
-  receiptData: z.string().min(10).optional()
+  receiptData: z.string().min(10).optional(),
+  // Kept on the user so a day pass unlock ends at their own midnight.
+  timezone: z.string().refine(isValidTimeZone, 'Unknown IANA timezone').optional()
 });
 
+const idempotencyKeySchema = z.string().trim().min(1).max(255).optional();
+
+type SubmissionLookup = { replay: string } | { conflict: string } | null;
+
 export const purchasesRouter = Router();
 
 purchasesRouter.post(
   '/',
-  requireAppKey,
+  requireDevice,
   purchasesRateLimiter,
   async (req, res, next) => {
     try {
       const payload = createPurchaseSchema.parse(req.body);
+      const idempotencyKey = idempotencyKeySchema.parse(req.get('idempotency-key'));
+      const requestHash = hashRequest(payload);
+      const userId: string = res.locals.userId;
+
+      // Retries after a dropped connection get the original answer instead of
+      // a bare 409, before anything else can reject them.
+      const previous = await findPreviousSubmission(userId, payload, idempotencyKey, requestHash);
+      if (previous) {
+        await sendPreviousSubmission(res, previous);
+        return;
+      }
 
       const {
-        userId,
         userEmail,
         charityId,
-        charityName,
         productId,
         transactionId,
         transactionJWS,
-        receiptData
+        receiptData,
+        timezone
       } = payload;
 
-      const grossCents = 99;
-      const appleFeeCents = Math.round(grossCents * 0.15);
-      const netCents = grossCents - appleFeeCents;
-      const donationCents = Math.round(netCents * 0.15);
+      const product = await prisma.product.findUnique({ where: { id: productId } });
+      if (!product || !product.isActive) {
+        logger.warn('Rejected purchase for unknown or inactive product', { productId });
+        res.status(400).json({ error: 'Unknown or inactive productId' });
+        return;
+      }
+
+      const charity = await prisma.charity.findUnique({ where: { id: charityId } });
+      if (!charity || !charity.isActive) {
+        logger.warn('Rejected purchase for unknown or inactive charity', { charityId });
+        res.status(400).json({ error: 'Unknown or inactive charityId' });
+        return;
+      }
+
+      // Snapshot the split now so later catalog edits never rewrite history.
+      const split = computeSplit(purchaseRates(product));
 
-      log('Received purchase submission', {
+      logger.info('Received purchase submission', {
         userId,
         charityId,
         productId,
         transactionId
       });
 
-      const purchase = await prisma.$transaction(async (tx: Prisma.TransactionClient) => {
-        await tx.user.upsert({
-          where: { id: userId },
-          create: { id: userId, email: userEmail },
-          update: userEmail ? { email: userEmail } : {}
-        });
-
-        if (charityName) {
-          await tx.charity.upsert({
-            where: { id: charityId },
-            create: { id: charityId, name: charityName, description: charityName },
-            update: { name: charityName }
+      const created = await prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+        if (userEmail || timezone) {
+          await tx.user.update({
+            where: { id: userId },
+            data: { ...(userEmail ? { email: userEmail } : {}), ...(timezone ? { timezone } : {}) }
           });
-        } else {
-          const existing = await tx.charity.findUnique({ where: { id: charityId } });
-          if (!existing) {
-            throw new Error('Unknown charityId; send charityName to create it.');
-          }
         }
 
         const record = await tx.purchase.create({
@@ -80,52 +101,139 @@ purchasesRouter.post(
             appleTransactionId: transactionId,
             receiptData: receiptData ?? null,
             transactionJws: transactionJWS,
-            grossCents,
-            appleFeeCents,
-            netCents,
-            donationCents
+            ...split
           }
         });
 
-        return record;
-      });
+        // Committed with the purchase so the job cannot be lost if Redis is
+        // down; the worker's outbox relay retries anything not sent below.
+        const message = await addToOutbox(tx, validationJob(record.id));
 
-      log('Stored purchase', { purchaseId: purchase.id, status: purchase.status });
-
-      await validateReceiptQueue.add(
-        'validate-receipt',
-        { purchaseId: purchase.id },
-        {
-          jobId: `validate-${purchase.id}`,
-          attempts: 5,
-          backoff: {
-            type: 'exponential',
-            delay: 1000
-          },
-          removeOnComplete: true,
-          removeOnFail: false
+        if (idempotencyKey) {
+          await recordIdempotencyKey(tx, { userId, key: idempotencyKey, requestHash, purchaseId: record.id });
         }
-      );
-
-      log('Enqueued receipt validation job', { purchaseId: purchase.id });
 
-      res.status(202).json({
-        purchaseId: purchase.id,
-        status: purchase.status
+        return { purchase: record, outboxMessage: message };
+      }).catch((err: unknown) => {
+        if (isUniqueViolation(err, ['appleTransactionId']) || isUniqueViolation(err, ['userId', 'key'])) {
+          logger.warn('Duplicate purchase submission', { code: err.code, meta: err.meta });
+          return null;
+        }
+        throw err;
       });
+
+      // A concurrent retry won the race; answer as if it had been first.
+      if (!created) {
+        const previous = await findPreviousSubmission(userId, payload, idempotencyKey, requestHash);
+        await sendPreviousSubmission(res, previous ?? { conflict: 'Purchase already submitted' });
+        return;
+      }
+      const { purchase, outboxMessage } = created;
+
+      logger.info('Stored purchase', { purchaseId: purchase.id, status: purchase.status });
+      purchasesCreated.inc({ product: product.id, source: 'app' });
+
+      if (await dispatchOutboxMessage(outboxMessage)) {
+        logger.info('Enqueued receipt validation job', { purchaseId: purchase.id });
+      } else {
+        logger.warn('Validation job left for outbox relay', { purchaseId: purchase.id });
+      }
+
+      res.status(202).json({ purchaseId: purchase.id, status: purchase.status });
     } catch (err: unknown) {
       if (err instanceof z.ZodError) {
-        logError('Validation error', err.flatten());
+        logger.warn('Validation error', err.flatten());
         res.status(400).json({ error: err.flatten() });
         return;
       }
-      if (err instanceof Prisma.PrismaClientKnownRequestError && err.code === 'P2002') {
-        logError('Duplicate purchase submission rejected', { code: err.code, meta: err.meta });
-        res.status(409).json({ error: 'Purchase already submitted' });
+      if (isUniqueViolation(err, ['email'])) {
+        res.status(409).json({ error: 'userEmail belongs to another user' });
         return;
       }
-      logError('Unhandled purchase error', err);
+      logger.error('Unhandled purchase error', err);
       next(err);
     }
   }
 );
+
+purchasesRouter.get('/:id', requireDevice, async (req, res, next) => {
+  try {
+    const purchase = await prisma.purchase.findUnique({
+      where: { id: req.params.id },
+      include: purchaseViewInclude
+    });
+
+    // Someone else's purchase is reported as missing rather than forbidden so
+    // ids cannot be probed.
+    if (!purchase || purchase.userId !== res.locals.userId) {
+      res.status(404).json({ error: 'Purchase not found' });
+      return;
+    }
+
+    res.json(toPurchaseView(purchase));
+  } catch (err) {
+    next(err);
+  }
+});
+
+// The Idempotency-Key is checked first; without one, the transaction id alone
+// identifies a retry as long as it is the same user, product and charity.
+async function findPreviousSubmission(
+  userId: string,
+  payload: z.infer<typeof createPurchaseSchema>,
+  idempotencyKey: string | undefined,
+  requestHash: string
+): Promise<SubmissionLookup> {
+  if (idempotencyKey) {
+    const record = await findIdempotencyKey(userId, idempotencyKey);
+    if (record) {
+      return record.requestHash === requestHash
+        ? { replay: record.purchaseId }
+        : { conflict: 'Idempotency-Key was already used with a different request' };
+    }
+  }
+
+  const existing = await prisma.purchase.findUnique({
+    where: { appleTransactionId: payload.transactionId },
+    select: { id: true, userId: true, charityId: true, productId: true }
+  });
+  if (!existing) {
+    return null;
+  }
+  if (existing.userId !== userId) {
+    return { conflict: 'Purchase already submitted' };
+  }
+  if (existing.charityId !== payload.charityId || existing.productId !== payload.productId) {
+    return { conflict: 'Transaction already submitted with a different charityId or productId' };
+  }
+  return { replay: existing.id };
+}
+
+async function sendPreviousSubmission(res: Response, previous: NonNullable<SubmissionLookup>) {
+  if ('conflict' in previous) {
+    res.status(409).json({ error: previous.conflict });
+    return;
+  }
+
+  const purchase = await prisma.purchase.findUniqueOrThrow({
+    where: { id: previous.replay },
+    select: { id: true, status: true }
+  });
+  logger.info('Replayed purchase submission', { purchaseId: purchase.id, status: purchase.status });
+  res.setHeader('Idempotent-Replayed', 'true');
+  res.status(200).json({ purchaseId: purchase.id, status: purchase.status });
+}
+
+// Only the purchase's transaction id and the Idempotency-Key mean a concurrent
+// retry won; Prisma lists the violated columns in `meta.target`.
+function isUniqueViolation(err: unknown, fields: string[]): err is Prisma.PrismaClientKnownRequestError {
+  if (!(err instanceof Prisma.PrismaClientKnownRequestError) || err.code !== 'P2002') {
+    return false;
+  }
+  const target = err.meta?.target;
+  return (
+    Array.isArray(target) &&
+    target.length === fields.length &&
+    fields.every((field) => target.includes(field))
+  );
+}
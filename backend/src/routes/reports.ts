@@ -1,19 +1,48 @@
-import { Router } from 'express';
+import { Router, type Response } from 'express';
+import { Prisma } from '@prisma/client';
 import { z } from 'zod';
 import { prisma } from '../lib/prisma.js';
-import { reportQueue } from '../lib/queues.js';
-import { requireAdminKey } from '../middleware/auth.js';
+import { addToOutbox, dispatchOutboxMessage } from '../lib/outbox.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { MONTH_PATTERN, monthRange, previousMonth } from '../lib/months.js';
+import { toCsvRow } from '../lib/csv.js';
+import { diffReportPayloads } from '../lib/reportDiff.js';
+import { REPORTING_CURRENCY } from '../lib/fx.js';
+import type { MonthlyReportCharity } from '../jobs/monthlyReport.js';
 
 const runSchema = z.object({
   month: z
     .string()
-    .regex(/^\d{4}-\d{2}$/, 'Month must be formatted YYYY-MM')
+    .regex(MONTH_PATTERN, 'Month must be formatted YYYY-MM')
     .optional()
 });
 
 export const reportsRouter = Router();
 
-reportsRouter.get('/latest', requireAdminKey, async (_req, res, next) => {
+const monthParamSchema = z.string().regex(MONTH_PATTERN, 'Month must be formatted YYYY-MM');
+
+const versionSchema = z.coerce.number().int().positive();
+
+const diffQuerySchema = z.object({
+  from: versionSchema.optional(),
+  to: versionSchema.optional()
+});
+
+const CSV_BATCH_SIZE = 500;
+
+reportsRouter.get('/', requireAdmin('reports:read'), async (_req, res, next) => {
+  try {
+    const reports = await prisma.monthlyReport.findMany({
+      select: { id: true, month: true, generatedAt: true, version: true, finalizedAt: true },
+      orderBy: { month: 'desc' }
+    });
+    res.json({ reports });
+  } catch (err) {
+    next(err);
+  }
+});
+
+reportsRouter.get('/latest', requireAdmin('reports:read'), async (_req, res, next) => {
   try {
     const report = await prisma.monthlyReport.findFirst({
       orderBy: { month: 'desc' }
@@ -28,19 +57,235 @@ reportsRouter.get('/latest', requireAdminKey, async (_req, res, next) => {
   }
 });
 
-reportsRouter.post('/run', requireAdminKey, async (req, res, next) => {
+reportsRouter.get('/:month', requireAdmin('reports:read'), async (req, res, next) => {
+  try {
+    const month = monthParamSchema.parse(req.params.month);
+    const report = await prisma.monthlyReport.findUnique({ where: { month } });
+    if (!report) {
+      res.status(404).json({ error: `No report generated for ${month}` });
+      return;
+    }
+    res.json(report);
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+// One CSV with a record_type column: per-charity totals from the stored report,
+// then every purchase completed and every refund booked in the month, matching
+// how the report itself was computed.
+reportsRouter.get('/:month/export.csv', requireAdmin('reports:read'), async (req, res, next) => {
+  try {
+    const month = monthParamSchema.parse(req.params.month);
+    const report = await prisma.monthlyReport.findUnique({ where: { month } });
+    if (!report) {
+      res.status(404).json({ error: `No report generated for ${month}` });
+      return;
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="mindlock-report-${month}.csv"`);
+
+    await writeCsv(res, [
+      'record_type',
+      'charity_id',
+      'charity_name',
+      'purchase_id',
+      'product_id',
+      'status',
+      'completed_at',
+      'refunded_at',
+      'currency',
+      'gross_millis',
+      'gross_cents',
+      'net_cents',
+      'donation_cents',
+      'reversed_cents',
+      'net_donation_cents'
+    ]);
+
+    const payload = report.payload as { charities?: MonthlyReportCharity[] };
+    for (const charity of payload.charities ?? []) {
+      await writeCsv(res, [
+        'charity',
+        charity.charityId,
+        charity.charityName,
+        null,
+        null,
+        null,
+        null,
+        null,
+        REPORTING_CURRENCY,
+        null,
+        null,
+        null,
+        charity.donationCents,
+        charity.reversedCents,
+        charity.netDonationCents
+      ]);
+    }
+
+    const { start, end } = monthRange(month);
+    await streamPurchases(
+      res,
+      'purchase',
+      { status: { in: ['completed', 'refunded'] }, completedAt: { gte: start, lt: end } }
+    );
+    await streamPurchases(
+      res,
+      'refund',
+      { status: 'refunded', completedAt: { not: null }, refundedAt: { gte: start, lt: end } }
+    );
+
+    res.end();
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    if (err instanceof ExportAborted) {
+      return;
+    }
+    if (res.headersSent) {
+      res.destroy(err as Error);
+      return;
+    }
+    next(err);
+  }
+});
+
+reportsRouter.get('/:month/versions', requireAdmin('reports:read'), async (req, res, next) => {
+  try {
+    const month = monthParamSchema.parse(req.params.month);
+    const report = await prisma.monthlyReport.findUnique({
+      where: { month },
+      include: {
+        versions: { select: { version: true, generatedAt: true }, orderBy: { version: 'desc' } }
+      }
+    });
+    if (!report) {
+      res.status(404).json({ error: `No report generated for ${month}` });
+      return;
+    }
+    res.json({
+      month,
+      currentVersion: report.version,
+      finalizedAt: report.finalizedAt,
+      versions: report.versions
+    });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+reportsRouter.get('/:month/versions/:version', requireAdmin('reports:read'), async (req, res, next) => {
+  try {
+    const month = monthParamSchema.parse(req.params.month);
+    const version = versionSchema.parse(req.params.version);
+    const record = await prisma.monthlyReportVersion.findFirst({
+      where: { version, report: { month } }
+    });
+    if (!record) {
+      res.status(404).json({ error: `No version ${version} for ${month}` });
+      return;
+    }
+    res.json(record);
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+// Defaults to comparing the current version with the one before it.
+reportsRouter.get('/:month/diff', requireAdmin('reports:read'), async (req, res, next) => {
+  try {
+    const month = monthParamSchema.parse(req.params.month);
+    const query = diffQuerySchema.parse(req.query);
+    const report = await prisma.monthlyReport.findUnique({ where: { month } });
+    if (!report) {
+      res.status(404).json({ error: `No report generated for ${month}` });
+      return;
+    }
+
+    const to = query.to ?? report.version;
+    const from = query.from ?? to - 1;
+    const versions = await prisma.monthlyReportVersion.findMany({
+      where: { reportId: report.id, version: { in: [from, to] } }
+    });
+    const before = versions.find((entry) => entry.version === from);
+    const after = versions.find((entry) => entry.version === to);
+    if (!before || !after) {
+      res.status(404).json({ error: `Cannot diff versions ${from} and ${to} for ${month}` });
+      return;
+    }
+
+    res.json({ month, from, to, ...diffReportPayloads(before.payload, after.payload) });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+// Locks the month: the worker refuses to regenerate a finalized report, so
+// figures that have been paid out stay fixed.
+reportsRouter.post('/:month/finalize', requireAdmin('reports:finalize'), async (req, res, next) => {
+  try {
+    const month = monthParamSchema.parse(req.params.month);
+    const report = await prisma.monthlyReport.findUnique({ where: { month } });
+    if (!report) {
+      res.status(404).json({ error: `No report generated for ${month}` });
+      return;
+    }
+    if (report.finalizedAt) {
+      res.status(409).json({ error: `Report for ${month} is already finalized` });
+      return;
+    }
+    const finalized = await prisma.monthlyReport.update({
+      where: { id: report.id },
+      data: { finalizedAt: new Date() },
+      select: { id: true, month: true, version: true, finalizedAt: true }
+    });
+    res.json(finalized);
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+reportsRouter.post('/run', requireAdmin('reports:run'), async (req, res, next) => {
   try {
     const parsed = runSchema.parse(req.body ?? {});
     const month = parsed.month ?? previousMonth();
-    await reportQueue.add(
-      'monthly-report',
-      { month },
-      {
-        jobId: `monthly-report-${month}-${Date.now()}`,
-        removeOnComplete: true,
-        removeOnFail: false
-      }
-    );
+    const existing = await prisma.monthlyReport.findUnique({ where: { month } });
+    if (existing?.finalizedAt) {
+      res.status(409).json({ error: `Report for ${month} is finalized` });
+      return;
+    }
+    const message = await addToOutbox(prisma, {
+      queue: 'generate-report',
+      name: 'monthly-report',
+      jobId: `monthly-report-${month}-${Date.now()}`,
+      data: { month },
+      options: { removeOnComplete: true, removeOnFail: false }
+    });
+    await dispatchOutboxMessage(message);
     res.status(202).json({ month });
   } catch (err) {
     if (err instanceof z.ZodError) {
@@ -51,10 +296,80 @@ reportsRouter.post('/run', requireAdminKey, async (req, res, next) => {
   }
 });
 
-function previousMonth(): string {
-  const now = new Date();
-  now.setUTCDate(1);
-  now.setUTCHours(0, 0, 0, 0);
-  now.setUTCMonth(now.getUTCMonth() - 1);
-  return `${now.getUTCFullYear()}-${String(now.getUTCMonth() + 1).padStart(2, '0')}`;
+// Thrown from writeCsv once the client has gone, so the export stops paging
+// through purchases nobody will receive.
+class ExportAborted extends Error {}
+
+async function writeCsv(res: Response, values: Parameters<typeof toCsvRow>[0]) {
+  if (res.destroyed) {
+    throw new ExportAborted('Client disconnected during export');
+  }
+  if (!res.write(toCsvRow(values))) {
+    await waitForDrain(res);
+  }
+}
+
+function waitForDrain(res: Response): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const settle = (err?: Error) => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      res.off('error', onClose);
+      if (err) {
+        reject(err);
+      } else {
+        resolve();
+      }
+    };
+    const onDrain = () => settle();
+    const onClose = () => settle(new ExportAborted('Client disconnected during export'));
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+    res.on('error', onClose);
+  });
+}
+
+// Refund rows carry the donation as reversed so summing a column over the file
+// gives the report's net figures.
+async function streamPurchases(
+  res: Response,
+  recordType: 'purchase' | 'refund',
+  where: Prisma.PurchaseWhereInput
+) {
+  let cursor: string | undefined;
+  for (;;) {
+    const batch = await prisma.purchase.findMany({
+      where,
+      include: { charity: { select: { name: true } } },
+      orderBy: { id: 'asc' },
+      take: CSV_BATCH_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+    });
+
+    for (const purchase of batch) {
+      const isRefund = recordType === 'refund';
+      await writeCsv(res, [
+        recordType,
+        purchase.charityId,
+        purchase.charity.name,
+        purchase.id,
+        purchase.productId,
+        purchase.status,
+        purchase.completedAt,
+        purchase.refundedAt,
+        purchase.currency,
+        purchase.grossMillis,
+        isRefund ? -purchase.grossCents : purchase.grossCents,
+        isRefund ? -purchase.netCents : purchase.netCents,
+        isRefund ? null : purchase.donationCents,
+        isRefund ? purchase.donationCents : null,
+        isRefund ? -purchase.donationCents : purchase.donationCents
+      ]);
+    }
+
+    if (batch.length < CSV_BATCH_SIZE) {
+      return;
+    }
+    cursor = batch[batch.length - 1].id;
+  }
 }
@@ -0,0 +1,259 @@
+import { randomUUID } from 'node:crypto';
+import { Router } from 'express';
+import { Prisma, type OutboxMessage } from '@prisma/client';
+import { z } from 'zod';
+import { prisma } from '../lib/prisma.js';
+import { config } from '../lib/config.js';
+import { validationJob } from '../lib/purchaseStatus.js';
+import { addToOutbox, dispatchOutboxMessage } from '../lib/outbox.js';
+import { computeSplit, purchaseRates } from '../lib/pricing.js';
+import { purchasesCreated } from '../lib/metrics.js';
+import { createLogger } from '../lib/logger.js';
+import {
+  decodeSimulatedReceipt,
+  encodeSimulatedReceipt,
+  mintForgedTransactionJws,
+  mintTransactionJws,
+  receiptFingerprint,
+  simulatedTransactionId
+} from '../lib/storekitSimulator.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const logger = createLogger('simulation');
+
+// Both routers are only mounted when config.storekitSimulation is on.
+
+const mintSchema = z.object({
+  productId: z.string().min(1),
+  transactionId: z.string().regex(/^\d+$/).optional(),
+  originalTransactionId: z.string().regex(/^\d+$/).optional(),
+  appAccountToken: z.string().uuid().optional(),
+  purchaseDate: z.coerce.date().optional(),
+  expiresDate: z.coerce.date().optional(),
+  environment: z.enum(['Production', 'Sandbox']).default('Sandbox'),
+  price: z.number().int().min(0).optional(),
+  currency: z.string().length(3).optional(),
+  storefront: z.string().length(3).optional()
+});
+
+// Scenarios are the failures the worker is expected to catch. Receipts are not
+// signed by us, so a forged signature or product swap only applies to the JWS.
+const fakePurchasesSchema = z
+  .object({
+    count: z.number().int().min(1).max(100).default(1),
+    userId: z.string().min(1).optional(),
+    productId: z.string().min(1).optional(),
+    charityId: z.string().min(1).optional(),
+    purchasedAt: z.coerce.date().optional(),
+    path: z.enum(['jws', 'receipt']).default('jws'),
+    scenario: z
+      .enum(['valid', 'invalid_signature', 'product_mismatch', 'account_mismatch'])
+      .default('valid'),
+    environment: z.enum(['Production', 'Sandbox']).default('Sandbox'),
+    // What the stand-in verifyReceipt answers on each attempt, e.g. [21005, 0].
+    receiptStatuses: z.array(z.number().int()).min(1).max(10).default([0])
+  })
+  .refine((body) => body.path === 'jws' || ['valid', 'account_mismatch'].includes(body.scenario), {
+    message: 'Receipt purchases support the valid and account_mismatch scenarios only',
+    path: ['scenario']
+  });
+
+type FakePurchasesRequest = z.infer<typeof fakePurchasesSchema>;
+
+export const simulationRouter = Router();
+
+simulationRouter.post('/transactions', requireAdmin('simulation:write'), async (req, res, next) => {
+  try {
+    const input = mintSchema.parse(req.body);
+    const transactionId = input.transactionId ?? simulatedTransactionId();
+    const transactionJWS = await mintTransactionJws({ ...input, transactionId });
+    res.status(201).json({ transactionId, transactionJWS });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+// Creates purchases exactly as POST /v1/purchases would, with simulated
+// StoreKit data, and hands them to the worker.
+simulationRouter.post('/purchases', requireAdmin('simulation:write'), async (req, res, next) => {
+  try {
+    const body = fakePurchasesSchema.parse(req.body ?? {});
+
+    const [user, product, charity] = await Promise.all([
+      body.userId
+        ? prisma.user.findUnique({ where: { id: body.userId } })
+        : prisma.user.create({ data: { appAccountToken: randomUUID() } }),
+      prisma.product.findFirst({
+        where: body.productId ? { id: body.productId } : { isActive: true, type: 'consumable' },
+        orderBy: { id: 'asc' }
+      }),
+      prisma.charity.findFirst({
+        where: body.charityId ? { id: body.charityId } : { isActive: true },
+        orderBy: { id: 'asc' }
+      })
+    ]);
+    if (!user || !product || !charity) {
+      res.status(400).json({ error: `Unknown ${!user ? 'userId' : !product ? 'productId' : 'charityId'}` });
+      return;
+    }
+
+    const created: { purchaseId: string; transactionId: string; message: OutboxMessage }[] = [];
+    for (let index = 0; index < body.count; index += 1) {
+      const transactionId = simulatedTransactionId();
+      const purchasedAt = body.purchasedAt ?? new Date();
+      const { transactionJws, receiptData } = await simulatedStoreKitData(body, {
+        transactionId,
+        productId: product.id,
+        productType: product.type,
+        priceCents: product.priceCents,
+        appAccountToken: user.appAccountToken,
+        purchasedAt
+      });
+
+      const result = await prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+        const record = await tx.purchase.create({
+          data: {
+            userId: user.id,
+            charityId: charity.id,
+            productId: product.id,
+            appleTransactionId: transactionId,
+            transactionJws,
+            receiptData,
+            createdAt: purchasedAt,
+            ...computeSplit(purchaseRates(product))
+          }
+        });
+        return { purchaseId: record.id, transactionId, message: await addToOutbox(tx, validationJob(record.id)) };
+      });
+      purchasesCreated.inc({ product: product.id, source: 'simulation' });
+      created.push(result);
+    }
+
+    for (const { message } of created) {
+      await dispatchOutboxMessage(message);
+    }
+
+    logger.info('Generated simulated purchases', {
+      count: created.length,
+      userId: user.id,
+      productId: product.id,
+      path: body.path,
+      scenario: body.scenario
+    });
+    res.status(201).json({
+      userId: user.id,
+      productId: product.id,
+      charityId: charity.id,
+      path: body.path,
+      scenario: body.scenario,
+      purchases: created.map(({ purchaseId, transactionId }) => ({ purchaseId, transactionId }))
+    });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+async function simulatedStoreKitData(
+  body: FakePurchasesRequest,
+  purchase: {
+    transactionId: string;
+    productId: string;
+    productType: 'consumable' | 'auto_renewable';
+    priceCents: number;
+    appAccountToken: string | null;
+    purchasedAt: Date;
+  }
+): Promise<{ transactionJws: string; receiptData: string | null }> {
+  const appAccountToken =
+    body.scenario === 'account_mismatch' ? randomUUID() : (purchase.appAccountToken ?? undefined);
+  const transaction = {
+    transactionId: purchase.transactionId,
+    productId: body.scenario === 'product_mismatch' ? `${purchase.productId}.other` : purchase.productId,
+    productType: purchase.productType,
+    appAccountToken,
+    purchaseDate: purchase.purchasedAt,
+    expiresDate:
+      purchase.productType === 'auto_renewable'
+        ? new Date(purchase.purchasedAt.getTime() + 30 * 24 * 60 * 60 * 1000)
+        : undefined,
+    environment: body.environment,
+    price: purchase.priceCents * 10,
+    currency: 'USD'
+  };
+  const transactionJws =
+    body.scenario === 'invalid_signature'
+      ? await mintForgedTransactionJws(transaction)
+      : await mintTransactionJws(transaction);
+
+  if (body.path === 'jws') {
+    return { transactionJws, receiptData: null };
+  }
+  const receiptData = encodeSimulatedReceipt({
+    environment: body.environment,
+    statuses: body.receiptStatuses,
+    inApp: [
+      {
+        transaction_id: purchase.transactionId,
+        original_transaction_id: purchase.transactionId,
+        product_id: purchase.productId,
+        purchase_date_ms: String(purchase.purchasedAt.getTime()),
+        ...(appAccountToken ? { app_account_token: appAccountToken } : {})
+      }
+    ]
+  });
+  return { transactionJws, receiptData };
+}
+
+// Stand-in for buy.itunes.apple.com and sandbox.itunes.apple.com. Point
+// APPLE_VERIFY_RECEIPT_URL and APPLE_SANDBOX_VERIFY_RECEIPT_URL here.
+export const storekitSimulatorRouter = Router();
+
+// Attempts per receipt, so scripted statuses advance across worker retries.
+// Per process; restarting the API replays each script from the start.
+const receiptAttempts = new Map<string, number>();
+
+storekitSimulatorRouter.post('/verifyReceipt', (req, res) => {
+  res.json(simulateVerifyReceipt(req.body, 'Production'));
+});
+
+storekitSimulatorRouter.post('/sandbox/verifyReceipt', (req, res) => {
+  res.json(simulateVerifyReceipt(req.body, 'Sandbox'));
+});
+
+function simulateVerifyReceipt(body: Record<string, unknown> | undefined, endpoint: 'Production' | 'Sandbox') {
+  if (body?.password !== config.appleSharedSecret) {
+    return { status: 21004 };
+  }
+  const receiptData = typeof body['receipt-data'] === 'string' ? body['receipt-data'] : '';
+  const receipt = decodeSimulatedReceipt(receiptData);
+  if (!receipt) {
+    return { status: 21003 };
+  }
+  // Apple's answers for a receipt sent to the wrong environment.
+  if (receipt.environment !== endpoint) {
+    return { status: endpoint === 'Production' ? 21007 : 21008, environment: endpoint };
+  }
+
+  const key = receiptFingerprint(receiptData);
+  const attempt = receiptAttempts.get(key) ?? 0;
+  receiptAttempts.set(key, attempt + 1);
+  const status = receipt.statuses[Math.min(attempt, receipt.statuses.length - 1)] ?? 0;
+  if (status !== 0) {
+    return { status, environment: endpoint };
+  }
+
+  return {
+    status: 0,
+    environment: endpoint,
+    receipt: { bundle_id: config.appleBundleId, in_app: receipt.inApp },
+    latest_receipt_info: receipt.inApp
+  };
+}
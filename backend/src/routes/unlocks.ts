@@ -0,0 +1,36 @@
+import { Router } from 'express';
+import { prisma } from '../lib/prisma.js';
+import { requireDevice } from '../middleware/auth.js';
+import { signUnlockGrant } from '../lib/unlockGrants.js';
+
+export const unlocksRouter = Router();
+
+// Lets a reinstalled app or another device pick up today's unlock.
+unlocksRouter.get('/active', requireDevice, async (_req, res, next) => {
+  try {
+    const grant = await prisma.unlockGrant.findFirst({
+      where: { userId: res.locals.userId, revokedAt: null, expiresAt: { gt: new Date() } },
+      include: { purchase: { select: { status: true } } },
+      orderBy: { expiresAt: 'desc' }
+    });
+
+    if (!grant) {
+      res.json({ grant: null });
+      return;
+    }
+
+    res.json({
+      grant: {
+        id: grant.id,
+        purchaseId: grant.purchaseId,
+        purchaseStatus: grant.purchase.status,
+        grantedAt: grant.grantedAt,
+        expiresAt: grant.expiresAt,
+        timezone: grant.timezone,
+        token: await signUnlockGrant(grant)
+      }
+    });
+  } catch (err) {
+    next(err);
+  }
+});
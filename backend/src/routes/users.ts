@@ -0,0 +1,183 @@
+import { Router, type NextFunction, type Request, type Response } from 'express';
+import { Prisma, PurchaseStatus } from '@prisma/client';
+import { z } from 'zod';
+import { prisma } from '../lib/prisma.js';
+import { requireDevice } from '../middleware/auth.js';
+import { purchaseViewInclude, toPurchaseView } from '../lib/purchaseView.js';
+import { DAY_PATTERN, isValidTimeZone, localDay, shiftDay } from '../lib/localTime.js';
+import { awardBadges, computeStreaks, type StreakSummary } from '../lib/streaks.js';
+
+const listPurchasesSchema = z.object({
+  cursor: z.string().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(20),
+  // Accepts `status=completed,failed` as well as repeated `status=` params.
+  status: z
+    .union([z.string(), z.array(z.string())])
+    .transform((value) => (Array.isArray(value) ? value : value.split(',')))
+    .pipe(z.array(z.nativeEnum(PurchaseStatus)))
+    .optional()
+});
+
+const timezoneSchema = z.string().refine(isValidTimeZone, 'Unknown IANA timezone');
+
+const goalSchema = z.object({
+  dailyLimitMinutes: z.number().int().min(1).max(24 * 60),
+  timezone: timezoneSchema.optional()
+});
+
+const dailyResultsSchema = z.object({
+  results: z
+    .array(
+      z.object({
+        day: z.string().regex(DAY_PATTERN, 'Day must be formatted YYYY-MM-DD'),
+        goalMet: z.boolean(),
+        usageMinutes: z.number().int().min(0).max(24 * 60).optional(),
+        limitMinutes: z.number().int().min(1).max(24 * 60).optional()
+      })
+    )
+    .min(1)
+    .max(31)
+});
+
+// How far back the app may backfill results, e.g. after being offline.
+const MAX_BACKFILL_DAYS = 60;
+
+export const usersRouter = Router();
+
+// Device tokens are bound to one user; every route here is about that user.
+function requireSelf(req: Request, res: Response, next: NextFunction) {
+  if (req.params.userId !== res.locals.userId) {
+    res.status(403).json({ error: 'Forbidden' });
+    return;
+  }
+  next();
+}
+
+usersRouter.get('/:userId/purchases', requireDevice, requireSelf, async (req, res, next) => {
+  try {
+    const { cursor, limit, status } = listPurchasesSchema.parse(req.query);
+
+    const purchases = await prisma.purchase.findMany({
+      where: {
+        userId: req.params.userId,
+        ...(status ? { status: { in: status } } : {})
+      },
+      include: purchaseViewInclude,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: limit + 1,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+    });
+
+    const page = purchases.slice(0, limit);
+    res.json({
+      purchases: page.map(toPurchaseView),
+      nextCursor: purchases.length > limit ? page[page.length - 1].id : null
+    });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+usersRouter.put('/:userId/goal', requireDevice, requireSelf, async (req, res, next) => {
+  try {
+    const { dailyLimitMinutes, timezone } = goalSchema.parse(req.body);
+    const userId: string = res.locals.userId;
+
+    const goal = await prisma.$transaction(async (tx: Prisma.TransactionClient) => {
+      if (timezone) {
+        await tx.user.update({ where: { id: userId }, data: { timezone } });
+      }
+      return tx.userGoal.upsert({
+        where: { userId },
+        create: { userId, dailyLimitMinutes },
+        update: { dailyLimitMinutes }
+      });
+    });
+
+    res.json({ dailyLimitMinutes: goal.dailyLimitMinutes, updatedAt: goal.updatedAt });
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+// Reporting a day again overwrites it, so the app can correct a result it
+// sent before usage data settled.
+usersRouter.post('/:userId/daily-results', requireDevice, requireSelf, async (req, res, next) => {
+  try {
+    const { results } = dailyResultsSchema.parse(req.body);
+    const userId: string = res.locals.userId;
+
+    const user = await prisma.user.findUniqueOrThrow({
+      where: { id: userId },
+      include: { goal: true }
+    });
+    const today = localDay(new Date(), user.timezone);
+    const earliest = shiftDay(today, -MAX_BACKFILL_DAYS);
+    const outOfRange = results.filter((result) => result.day > today || result.day < earliest);
+    if (outOfRange.length > 0) {
+      res.status(400).json({
+        error: `Days must be between ${earliest} and ${today} in ${user.timezone}`,
+        days: outOfRange.map((result) => result.day)
+      });
+      return;
+    }
+
+    await prisma.$transaction(
+      results.map((result) => {
+        const data = {
+          goalMet: result.goalMet,
+          usageMinutes: result.usageMinutes ?? null,
+          limitMinutes: result.limitMinutes ?? user.goal?.dailyLimitMinutes ?? null
+        };
+        return prisma.dailyResult.upsert({
+          where: { userId_day: { userId, day: result.day } },
+          create: { userId, day: result.day, ...data },
+          update: data
+        });
+      })
+    );
+
+    const summary = await computeStreaks(userId);
+    await awardBadges(userId, summary);
+    res.json(await streakView(userId, summary));
+  } catch (err) {
+    if (err instanceof z.ZodError) {
+      res.status(400).json({ error: err.flatten() });
+      return;
+    }
+    next(err);
+  }
+});
+
+usersRouter.get('/:userId/streak', requireDevice, requireSelf, async (_req, res, next) => {
+  try {
+    const userId: string = res.locals.userId;
+    res.json(await streakView(userId, await computeStreaks(userId)));
+  } catch (err) {
+    next(err);
+  }
+});
+
+async function streakView(userId: string, summary: StreakSummary) {
+  const [goal, badges] = await Promise.all([
+    prisma.userGoal.findUnique({ where: { userId } }),
+    prisma.userBadge.findMany({
+      where: { userId },
+      select: { badge: true, earnedAt: true },
+      orderBy: { earnedAt: 'asc' }
+    })
+  ]);
+  return {
+    ...summary,
+    goal: goal ? { dailyLimitMinutes: goal.dailyLimitMinutes } : null,
+    badges
+  };
+}
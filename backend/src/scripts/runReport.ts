@@ -1,4 +1,7 @@
 import { reportQueue } from '../lib/queues.js';
+import { createLogger } from '../lib/logger.js';
+
+const logger = createLogger('reports');
 
 async function main() {
   const [, , monthArg] = process.argv;
@@ -12,11 +15,11 @@ async function main() {
       removeOnFail: false
     }
   );
-  console.log(`[reports] enqueued job for month ${month ?? 'previous'}`);
+  logger.info('Enqueued report job', { month: month ?? 'previous' });
   process.exit(0);
 }
 
 main().catch((err) => {
-  console.error('[reports] failed to enqueue report job', err);
+  logger.error('Failed to enqueue report job', err);
   process.exit(1);
 });
@@ -1,57 +1,101 @@
-import { Worker } from 'bullmq';
+import { Worker, type Job } from 'bullmq';
 import { redisConnection } from './lib/queues.js';
-import { handleValidateReceipt } from './jobs/validateReceipt.js';
+import { handleValidateReceipt, markRetriesExhausted } from './jobs/validateReceipt.js';
 import { handleMonthlyReport } from './jobs/monthlyReport.js';
-import { reportQueue } from './lib/queues.js';
+import { handleSweepPendingPurchases } from './jobs/sweepPendingPurchases.js';
+import { handlePruneIdempotencyKeys } from './jobs/pruneIdempotencyKeys.js';
+import { startOutboxRelay } from './jobs/outboxRelay.js';
+import { maintenanceQueue, reportQueue, validateReceiptQueue } from './lib/queues.js';
+import { config } from './lib/config.js';
+import { createLogger, runWithLogContext, withJobLogContext } from './lib/logger.js';
+import { registerQueueDepthMetric, startMetricsServer } from './lib/metrics.js';
+import { startWorkerHeartbeat } from './lib/heartbeat.js';
+
+const logger = createLogger('worker');
 
 async function bootstrap() {
   await ensureMonthlyJob();
+  await ensurePendingSweepJob();
+  await ensureIdempotencyPruneJob();
+
+  const validateWorker = new Worker('validate-receipt', withJobLogContext(handleValidateReceipt), {
+    connection: redisConnection,
+    prefix: 'mindlock'
+  });
 
-  const validateWorker = new Worker('validate-receipt', handleValidateReceipt, {
+  const reportWorker = new Worker('generate-report', withJobLogContext(handleMonthlyReport), {
     connection: redisConnection,
     prefix: 'mindlock'
   });
 
-  const reportWorker = new Worker('generate-report', handleMonthlyReport, {
+  const maintenanceWorker = new Worker('maintenance', withJobLogContext(handleMaintenanceJob), {
     connection: redisConnection,
     prefix: 'mindlock'
   });
 
+  const stopOutboxRelay = startOutboxRelay();
+
+  registerQueueDepthMetric([validateReceiptQueue, reportQueue, maintenanceQueue]);
+  const stopMetricsServer = startMetricsServer(config.workerMetricsPort);
+  const stopHeartbeat = startWorkerHeartbeat();
+
   validateWorker.on('ready', () => {
-    console.log('[worker] validate-receipt ready');
+    logger.info('Worker ready', { queue: 'validate-receipt' });
   });
 
   validateWorker.on('active', (job) => {
-    console.log(`[worker] validate active ${job.id}`);
+    logger.debug('Job active', jobFields(job));
   });
 
   validateWorker.on('completed', (job) => {
-    console.log(`[worker] validate completed ${job?.id}`);
+    logger.info('Job completed', jobFields(job));
   });
 
   validateWorker.on('failed', (job, err) => {
-    console.error(`[worker] validate job ${job?.id} failed`, err);
+    logger.error('Job failed', { ...jobFields(job), err });
+    if (job && job.attemptsMade >= (job.opts.attempts ?? 1)) {
+      runWithLogContext({ requestId: job.data.requestId }, () =>
+        markRetriesExhausted(job.data.purchaseId, err.message)
+      ).catch((markErr) => {
+        logger.error('Could not fail purchase', {
+          ...jobFields(job),
+          purchaseId: job.data.purchaseId,
+          err: markErr
+        });
+      });
+    }
   });
 
   reportWorker.on('ready', () => {
-    console.log('[worker] generate-report ready');
+    logger.info('Worker ready', { queue: 'generate-report' });
   });
 
   reportWorker.on('active', (job) => {
-    console.log(`[worker] report active ${job.id}`);
+    logger.debug('Job active', jobFields(job));
   });
 
   reportWorker.on('completed', (job) => {
-    console.log(`[worker] report completed ${job?.id}`);
+    logger.info('Job completed', jobFields(job));
   });
 
   reportWorker.on('failed', (job, err) => {
-    console.error(`[worker] report job ${job?.id} failed`, err);
+    logger.error('Job failed', { ...jobFields(job), err });
+  });
+
+  maintenanceWorker.on('failed', (job, err) => {
+    logger.error('Job failed', { ...jobFields(job), err });
   });
 
   const shutdown = async () => {
-    console.log('[worker] shutting down');
-    await Promise.allSettled([validateWorker.close(), reportWorker.close()]);
+    logger.info('Shutting down');
+    await Promise.allSettled([
+      stopOutboxRelay(),
+      stopMetricsServer(),
+      stopHeartbeat(),
+      validateWorker.close(),
+      reportWorker.close(),
+      maintenanceWorker.close()
+    ]);
     process.exit(0);
   };
 
@@ -60,7 +104,7 @@ async function bootstrap() {
 }
 
 bootstrap().catch((err) => {
-  console.error('[worker] bootstrap error', err);
+  logger.error('Bootstrap error', err);
   process.exit(1);
 });
 
@@ -78,3 +122,51 @@ async function ensureMonthlyJob() {
     }
   );
 }
+
+async function ensurePendingSweepJob() {
+  await maintenanceQueue.add(
+    'sweep-pending-purchases',
+    {},
+    {
+      jobId: 'pending-sweep-cron',
+      repeat: {
+        every: config.pendingSweepIntervalMinutes * 60 * 1000
+      },
+      removeOnComplete: 50,
+      removeOnFail: 50
+    }
+  );
+}
+
+// All housekeeping shares the maintenance queue; jobs are told apart by name.
+async function handleMaintenanceJob(job: Job) {
+  switch (job.name) {
+    case 'sweep-pending-purchases':
+      return handleSweepPendingPurchases(job);
+    case 'prune-idempotency-keys':
+      return handlePruneIdempotencyKeys();
+    default:
+      throw new Error(`Unknown maintenance job ${job.name}`);
+  }
+}
+
+async function ensureIdempotencyPruneJob() {
+  await maintenanceQueue.add(
+    'prune-idempotency-keys',
+    {},
+    {
+      jobId: 'idempotency-prune-cron',
+      repeat: {
+        pattern: '15 * * * *',
+        tz: 'UTC'
+      },
+      removeOnComplete: 50,
+      removeOnFail: 50
+    }
+  );
+}
+
+// Worker events fire outside the processor, so the job's ids are added by hand.
+function jobFields(job: Job | undefined) {
+  return { queue: job?.queueName, jobId: job?.id, requestId: job?.data?.requestId };
+}
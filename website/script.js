@@ -155,6 +155,48 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
 
+    // Live impact counter (optional): only runs when the page names an API origin
+    function setupImpactCounter() {
+        const counter = document.querySelector('.impact-counter');
+        const apiOrigin = counter ? counter.dataset.impactApi : '';
+
+        if (!apiOrigin) {
+            return;
+        }
+
+        const formatDollars = cents => (cents / 100).toLocaleString('en-US', {
+            style: 'currency',
+            currency: 'USD',
+            maximumFractionDigits: 0
+        });
+
+        const setValue = (name, value) => {
+            const el = counter.querySelector(`[data-impact="${name}"]`);
+            if (el) {
+                el.textContent = value;
+            }
+        };
+
+        function refresh() {
+            fetch(`${apiOrigin.replace(/\/$/, '')}/v1/impact`)
+                .then(response => (response.ok ? response.json() : Promise.reject(response.status)))
+                .then(impact => {
+                    setValue('totalDonated', formatDollars(impact.totalDonatedCents));
+                    setValue('totalDayPasses', impact.totalDayPasses.toLocaleString('en-US'));
+                    setValue('monthDonated', formatDollars(impact.thisMonth.donatedCents));
+                    counter.hidden = false;
+                })
+                .catch(() => {
+                    // Keep the static page as-is if the API is unreachable
+                });
+        }
+
+        refresh();
+        setInterval(refresh, 60000);
+    }
+
+    setupImpactCounter();
+
     // Console welcome message
     console.log('🔒 Welcome to MindLock!');
     console.log('Building healthier digital habits through charitable impact.');